@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// =============================================================
+//  bin/emotropy.js
+//  Batch analyser for journal exports — the same detector the
+//  browser app uses, run offline over text or markdown files.
+//
+//  Usage (Node 20+):
+//    node bin/emotropy.js [options] [file …]     no file, or "-", reads stdin
+//
+//  Options:
+//    --format json|csv|ndjson      output format (default json)
+//    --split auto|dates|separators|none
+//                                  how files break into entries (default auto)
+//    --language auto|en|es|fr|de   detector language (default auto)
+//    --lexicon <pack.json>         load a lexicon pack first (repeatable)
+//    --sensations <n>              body sensations per entry (default 4)
+//    --seed <seed>                 fix the sensation draw; the same entry text
+//                                  and seed always give the same sensations
+//    --out <file>                  write to a file instead of stdout
+//
+//  Each entry becomes one record:
+//    source, entry, line, date, emotion ('unclear' when nothing scored),
+//    confidence, intensity, blend, bodily, total, language, sensations
+// =============================================================
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { detectEmotion, loadLexiconPack, SUPPORTED_LANGUAGES } from '../utils/emotionDetector.js';
+import { getSensationSuggestions } from '../utils/bodySensationMapper.js';
+import { splitJournal } from '../utils/journalSplitter.js';
+import { createRandom, deriveSeed } from '../utils/random.js';
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+const SPLITS = ['auto', 'dates', 'separators', 'none'];
+const LANGUAGES = ['auto', ...SUPPORTED_LANGUAGES.map(l => l.code)];
+
+const CSV_COLUMNS = [
+    'source', 'entry', 'line', 'date', 'emotion', 'confidence', 'intensity',
+    'blend', 'bodily', 'total', 'language', 'sensations'
+];
+
+const USAGE = `usage: node bin/emotropy.js [--format ${FORMATS.join('|')}] [--split ${SPLITS.join('|')}]
+                          [--language ${LANGUAGES.join('|')}] [--lexicon pack.json]
+                          [--sensations n] [--seed seed] [--out file] [file …]`;
+
+// ── Arguments ────────────────────────────────────────────────
+function parseArgs(argv) {
+    const args = { format: 'json', split: 'auto', language: 'auto', lexicons: [], sensations: 4, seed: null, out: null, files: [] };
+    const oneOf = (flag, value, allowed) => {
+        if (!allowed.includes(value)) throw new Error(`${flag}: expected one of ${allowed.join(', ')}, got "${value}"`);
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg}: missing value`);
+            return argv[++i];
+        };
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--format') args.format = oneOf(arg, value(), FORMATS);
+        else if (arg === '--split') args.split = oneOf(arg, value(), SPLITS);
+        else if (arg === '--language') args.language = oneOf(arg, value(), LANGUAGES);
+        else if (arg === '--lexicon') args.lexicons.push(value());
+        else if (arg === '--out') args.out = value();
+        else if (arg === '--seed') args.seed = value();
+        else if (arg === '--sensations') {
+            args.sensations = Number(value());
+            if (!Number.isInteger(args.sensations) || args.sensations < 0) throw new Error('--sensations: expected a whole number');
+        }
+        else if (arg.startsWith('--')) throw new Error(`unknown option "${arg}"`);
+        else args.files.push(arg);
+    }
+    if (args.files.length === 0) args.files.push('-');
+    return args;
+}
+
+// ── Analysis ─────────────────────────────────────────────────
+/**
+ * One output record per journal entry.
+ * @returns {Array<Object>}
+ */
+function analyse(source, text, { split, language, sensations, seed }) {
+    return splitJournal(text, { split }).map((entry, k) => {
+        const result = detectEmotion(entry.text, { language });
+        const unclear = result.total === 0;
+        return {
+            source,
+            entry: k + 1,
+            line: entry.line,
+            date: entry.date ?? entry.heading,
+            emotion: unclear ? 'unclear' : result.emotion,
+            confidence: unclear ? 0 : round(result.confidence),
+            intensity: round(result.intensity),
+            blend: result.blend.map(b => ({ emotion: b.emotion, weight: round(b.weight) })),
+            bodily: round(result.bodily),
+            total: round(result.total),
+            language: result.language,
+            sensations: getSensationSuggestions(result.blend, sensations,
+                seed === null ? Math.random : createRandom(deriveSeed(seed, entry.text)))
+        };
+    });
+}
+
+const round = v => Math.round(v * 1000) / 1000;
+
+// ── Output ───────────────────────────────────────────────────
+function csvCell(value) {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(records) {
+    const rows = records.map(r => CSV_COLUMNS.map(col => {
+        if (col === 'blend') return csvCell(r.blend.map(b => `${b.emotion}:${b.weight}`).join(';'));
+        if (col === 'sensations') return csvCell(r.sensations.join(';'));
+        return csvCell(r[col]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function format(records, kind) {
+    if (kind === 'csv') return toCsv(records);
+    if (kind === 'ndjson') return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+    return JSON.stringify(records, null, 2) + '\n';
+}
+
+// ── Main ─────────────────────────────────────────────────────
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let failed = false;
+
+    for (const path of args.lexicons) {
+        let report;
+        try {
+            report = loadLexiconPack(JSON.parse(readFileSync(path, 'utf8')));
+        } catch (err) {
+            report = { applied: false, errors: [err.message], warnings: [] };
+        }
+        report.errors.forEach(msg => console.error(`[lexicon ${path}] ${msg}`));
+        report.warnings.forEach(msg => console.error(`[lexicon ${path}] warning: ${msg}`));
+        if (!report.applied) failed = true;
+    }
+
+    const records = [];
+    for (const file of args.files) {
+        let text;
+        try {
+            text = readFileSync(file === '-' ? 0 : file, 'utf8');
+        } catch (err) {
+            console.error(`${file}: ${err.message}`);
+            failed = true;
+            continue;
+        }
+        records.push(...analyse(file === '-' ? 'stdin' : file, text, args));
+    }
+
+    const output = format(records, args.format);
+    if (args.out) writeFileSync(args.out, output);
+    else process.stdout.write(output);
+
+    if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,236 @@
+// =============================================================
+//  eval/check.js
+//  Assertions on the modules that run without a browser, for the
+//  behaviour the evaluator's accuracy numbers can't show.
+//
+//  Usage (Node 20+, from the repository root):
+//    node eval/check.js
+//
+//  Prints each failing check and a count; exits 1 when any fail.
+// =============================================================
+
+import assert from 'node:assert/strict';
+import {
+    createRandom, hashSeed, forkSeed, deriveSeed, shuffle, mulberry32, MULBERRY_STEP
+} from '../utils/random.js';
+import { buildFuzzyIndex, findCorrection, editDistance } from '../utils/fuzzyMatch.js';
+import { validateLexiconPack, mergeLexiconPack } from '../utils/lexiconPacks.js';
+import { SpatialHash } from '../particles/SpatialHash.js';
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+const draws = (random, n) => Array.from({ length: n }, () => random());
+
+// ── random.js ────────────────────────────────────────────────
+check('random: same seed, same stream', () => {
+    assert.deepEqual(draws(createRandom(42), 20), draws(createRandom(42), 20));
+    assert.notDeepEqual(draws(createRandom(42), 20), draws(createRandom(43), 20));
+});
+
+check('random: draws stay in [0, 1)', () => {
+    draws(createRandom('range'), 10000).forEach(x => assert.ok(x >= 0 && x < 1, `drew ${x}`));
+});
+
+check('random: numeric strings are their number', () => {
+    assert.equal(hashSeed('42'), 42);
+    assert.equal(hashSeed(' 42 '), 42);
+    assert.deepEqual(draws(createRandom('42'), 5), draws(createRandom(42), 5));
+});
+
+check('random: words hash to 32-bit unsigned seeds', () => {
+    for (const word of ['monday', 'a much longer seed phrase', '', String(2 ** 32)]) {
+        const seed = hashSeed(word);
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32, `${word} → ${seed}`);
+    }
+    assert.notEqual(hashSeed('monday'), hashSeed('tuesday'));
+});
+
+check('random: a bare state advanced by hand matches createRandom', () => {
+    const seed = forkSeed(createRandom(7));
+    let state = seed;
+    const byHand = Array.from({ length: 10 }, () => {
+        state = (state + MULBERRY_STEP) >>> 0;
+        return mulberry32(state);
+    });
+    assert.deepEqual(byHand, draws(createRandom(seed), 10));
+});
+
+check('random: deriveSeed mixes the text in', () => {
+    assert.equal(deriveSeed(42, 'calm'), deriveSeed('42', 'calm'));
+    assert.notEqual(deriveSeed(42, 'calm'), deriveSeed(42, 'anger'));
+    assert.notEqual(deriveSeed(42, 'calm'), deriveSeed(43, 'calm'));
+});
+
+check('random: shuffle is a seeded permutation', () => {
+    const items = Array.from({ length: 30 }, (_, i) => i);
+    const a = shuffle([...items], createRandom(1));
+    assert.deepEqual(a, shuffle([...items], createRandom(1)));
+    assert.deepEqual([...a].sort((x, y) => x - y), items);
+    assert.notDeepEqual(a, items);
+});
+
+// ── fuzzyMatch.js ────────────────────────────────────────────
+const KEYS = ['anxious', 'overwhelmed', 'grateful', 'lonely', 'tired', 'furious', 'closed', 'calm', 'at peace', 'lovely'];
+const fuzzy = buildFuzzyIndex(KEYS);
+
+check('fuzzy: thumb slips find their word', () => {
+    assert.equal(findCorrection('anxous', fuzzy), 'anxious');        // dropped letter
+    assert.equal(findCorrection('gratefull', fuzzy), 'grateful');    // doubled letter
+    assert.equal(findCorrection('anxioys', fuzzy), 'anxious');       // neighbouring key
+    assert.equal(findCorrection('lonley', fuzzy), 'lonely');         // swapped pair
+    assert.equal(findCorrection('overwelmd', fuzzy), 'overwhelmed'); // two edits at 9+ letters
+});
+
+check('fuzzy: slips a thumb does not make are not edits', () => {
+    assert.equal(editDistance('anpious', 'anxious', 1), 2);          // p is nowhere near x
+    assert.equal(findCorrection('anpious', fuzzy), null);
+    assert.equal(findCorrection('close', fuzzy), null);              // last letter dropped
+});
+
+check('fuzzy: short tokens, phrases and other initials never match', () => {
+    assert.equal(findCorrection('clam', fuzzy), null);
+    assert.ok(![...fuzzy.values()].flat().includes('calm'));
+    assert.ok(![...fuzzy.values()].flat().includes('at peace'));
+    assert.equal(findCorrection('xnxious', fuzzy), null);
+});
+
+check('fuzzy: exceptions and ties are left alone', () => {
+    assert.equal(findCorrection('tried', fuzzy), null);
+    assert.equal(findCorrection('tired', fuzzy, new Set()), 'tired');
+    assert.equal(findCorrection('lobely', fuzzy), null);             // lonely and lovely, one key away each
+});
+
+// ── lexiconPacks.js ──────────────────────────────────────────
+const tables = () => ({
+    lexicons: { joy: { happy: 1, delighted: 1.5 }, stress: { deadline: 1 } },
+    bodily: { 'heart racing': 1.2 },
+    vad: { happy: [0.8, 0.5, 0.4] },
+    negations: ['not'],
+    intensifiers: ['very'],
+    transitions: ['but']
+});
+
+check('packs: a well-formed pack validates', () => {
+    const report = validateLexiconPack({
+        name: 'workplace',
+        lexicons: { stress: { 'crunch time': 2 } },
+        bodily: { 'jaw clenched': 1.4 },
+        vad: { 'crunch time': [-0.5, 0.8, -0.3] },
+        negations: ["ain't"]
+    }, tables());
+    assert.deepEqual(report, { valid: true, errors: [], warnings: [] });
+});
+
+check('packs: bad emotions, weights, VAD and lists are errors', () => {
+    const report = validateLexiconPack({
+        lexicons: { rapture: { bliss: 1 }, joy: { glad: 0, elated: '2' } },
+        bodily: [],
+        vad: { glad: [0.5, 2, 0] },
+        intensifiers: ['mega', '']
+    }, tables());
+    assert.equal(report.valid, false);
+    assert.equal(report.errors.length, 6, report.errors.join('; '));
+    assert.equal(validateLexiconPack(['joy']).valid, false);
+});
+
+check('packs: unknown sections and cross-category words are warnings', () => {
+    const report = validateLexiconPack({ author: 'me', lexicons: { stress: { Happy: 1 } } }, tables());
+    assert.equal(report.valid, true);
+    assert.equal(report.warnings.length, 2, report.warnings.join('; '));
+    // Overriding joy removes its "happy", so nothing is shared
+    const override = validateLexiconPack({ lexicons: { joy: { glad: 1 }, stress: { happy: 1 } } }, tables(), 'override');
+    assert.deepEqual(override.warnings, []);
+});
+
+check('packs: merge adds to the tables without mutating them', () => {
+    const base = tables();
+    const before = JSON.stringify(base);
+    const merged = mergeLexiconPack(base, {
+        lexicons: { joy: { happy: 2, glad: 1 } },
+        negations: ["Ain't", 'not']
+    });
+    assert.equal(JSON.stringify(base), before);
+    assert.deepEqual(merged.lexicons.joy, { happy: 2, delighted: 1.5, glad: 1 });
+    assert.deepEqual(merged.lexicons.stress, { deadline: 1 });
+    assert.deepEqual(merged.negations, ['not', "ain't"]);
+    assert.deepEqual(merged.bodily, base.bodily);
+});
+
+check('packs: override replaces only the sections the pack lists', () => {
+    const merged = mergeLexiconPack(tables(), {
+        lexicons: { joy: { glad: 1 } },
+        intensifiers: ['mega']
+    }, 'override');
+    assert.deepEqual(merged.lexicons.joy, { glad: 1 });
+    assert.deepEqual(merged.lexicons.stress, { deadline: 1 });
+    assert.deepEqual(merged.intensifiers, ['mega']);
+    assert.deepEqual(merged.transitions, ['but']);
+});
+
+// ── SpatialHash.js ───────────────────────────────────────────
+// Points scattered a little past the edges, as wrapping particles are
+function scatter(n, width, height, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: n }, (_, id) => ({
+        id,
+        x: random() * (width + 40) - 20,
+        y: random() * (height + 40) - 20
+    }));
+}
+
+const withinOf = (items, item, radius) => items.filter(o =>
+    o !== item && (o.x - item.x) ** 2 + (o.y - item.y) ** 2 <= radius * radius);
+
+const ids = list => list.map(o => o.id).sort((a, b) => a - b);
+
+check('spatial hash: finds exactly the neighbours a full scan does', () => {
+    const items = scatter(600, 400, 300, 3);
+    const grid = new SpatialHash(12);
+    grid.rebuild(items, 400, 300);
+    const out = new Array(items.length);
+    for (const radius of [5, 30, 75]) {
+        for (const item of items) {
+            const found = grid.near(item, radius, out);
+            assert.deepEqual(ids(out.slice(0, found)), ids(withinOf(items, item, radius)), `item ${item.id}, radius ${radius}`);
+        }
+    }
+});
+
+check('spatial hash: a capped query stops at the cap, all within reach', () => {
+    const items = scatter(2000, 200, 200, 4);
+    const grid = new SpatialHash(10);
+    grid.rebuild(items, 200, 200);
+    const out = new Array(8);
+    for (const item of items.slice(0, 100)) {
+        const found = grid.near(item, 40, out);
+        assert.equal(found, Math.min(8, withinOf(items, item, 40).length));
+        out.slice(0, found).forEach(o => assert.ok(Math.hypot(o.x - item.x, o.y - item.y) <= 40));
+    }
+});
+
+check('spatial hash: accept() filters, and rebuilds reuse the grid', () => {
+    const grid = new SpatialHash(12);
+    grid.rebuild(scatter(300, 400, 300, 5), 400, 300);
+    const items = scatter(50, 100, 80, 6);
+    grid.rebuild(items, 100, 80);
+    const even = o => o.id % 2 === 0;
+    const out = new Array(items.length);
+    for (const item of items) {
+        const found = grid.near(item, 30, out, even);
+        assert.deepEqual(ids(out.slice(0, found)), ids(withinOf(items, item, 30).filter(even)));
+    }
+});
+
+// ── Run ──────────────────────────────────────────────────────
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        fn();
+    } catch (err) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${err.message.split('\n')[0]}`);
+    }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,272 @@
+// =============================================================
+//  eval/evaluate.js
+//  Accuracy report for detectEmotion() against a labelled corpus,
+//  so lexicon and scoring changes can be judged on numbers.
+//
+//  Usage (Node 20+, from the repository root):
+//    node eval/evaluate.js                    text report
+//    node eval/evaluate.js --json             full report as JSON
+//    node eval/evaluate.js --save-baseline    write eval/baseline.json
+//    node eval/evaluate.js --baseline <file>  diff against another report
+//    node eval/evaluate.js --corpus <file>    evaluate a different corpus
+//
+//  An entry's prediction is the dominant emotion, or 'unclear' when
+//  nothing scored (total === 0), matching the app's Unclear state.
+//  The default baseline is eval/baseline.json whenever it exists.
+//
+//  Corpus entries (eval/corpus.json):
+//    { id, text, label,     label is an emotion key or 'unclear'
+//      blend?,              emotions a reader would name for a mixed text
+//      language? }          passed to detectEmotion (default 'auto')
+// =============================================================
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { detectEmotion } from '../utils/emotionDetector.js';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CORPUS = join(HERE, 'corpus.json');
+const DEFAULT_BASELINE = join(HERE, 'baseline.json');
+
+const UNCLEAR = 'unclear';
+const CALIBRATION_BINS = 5;
+
+// ── Prediction ───────────────────────────────────────────────
+function predict(entry) {
+    const result = detectEmotion(entry.text, { language: entry.language ?? 'auto' });
+    const predicted = result.total === 0 ? UNCLEAR : result.emotion;
+    return {
+        id: entry.id,
+        label: entry.label,
+        predicted,
+        correct: predicted === entry.label,
+        confidence: result.total === 0 ? 0 : result.confidence,
+        blend: result.blend.map(b => b.emotion),
+        goldBlend: entry.blend ?? null
+    };
+}
+
+// ── Metrics ──────────────────────────────────────────────────
+// Categories in corpus order, then any predicted-only ones, 'unclear' last.
+function categoriesOf(results) {
+    const seen = new Set();
+    results.forEach(r => seen.add(r.label));
+    results.forEach(r => seen.add(r.predicted));
+    seen.delete(UNCLEAR);
+    return [...seen, UNCLEAR];
+}
+
+function perCategory(results, categories) {
+    const stats = {};
+    categories.forEach(c => {
+        const tp = results.filter(r => r.label === c && r.predicted === c).length;
+        const fp = results.filter(r => r.label !== c && r.predicted === c).length;
+        const fn = results.filter(r => r.label === c && r.predicted !== c).length;
+        const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+        const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+        const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+        stats[c] = { support: tp + fn, precision, recall, f1 };
+    });
+    return stats;
+}
+
+// confusion[gold][predicted] = count
+function confusionMatrix(results, categories) {
+    const matrix = Object.fromEntries(categories.map(g => [g, Object.fromEntries(categories.map(p => [p, 0]))]));
+    results.forEach(r => { matrix[r.label][r.predicted]++; });
+    return matrix;
+}
+
+// Mean Jaccard overlap between the gold blend and the predicted blend,
+// over the entries that list a gold blend.
+function blendOverlap(results) {
+    const scored = results.filter(r => r.goldBlend);
+    if (scored.length === 0) return null;
+    const sum = scored.reduce((s, r) => {
+        const gold = new Set(r.goldBlend);
+        const pred = new Set(r.blend);
+        const shared = [...gold].filter(e => pred.has(e)).length;
+        return s + shared / new Set([...gold, ...pred]).size;
+    }, 0);
+    return sum / scored.length;
+}
+
+// Reliability bins over entries the detector did commit to, plus the
+// expected calibration error (count-weighted |accuracy − confidence|).
+function calibration(results) {
+    const committed = results.filter(r => r.predicted !== UNCLEAR);
+    const bins = Array.from({ length: CALIBRATION_BINS }, (_, k) => ({
+        from: k / CALIBRATION_BINS, to: (k + 1) / CALIBRATION_BINS, count: 0, confidence: 0, accuracy: 0
+    }));
+    committed.forEach(r => {
+        const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(r.confidence * CALIBRATION_BINS))];
+        bin.count++;
+        bin.confidence += r.confidence;
+        bin.accuracy += r.correct ? 1 : 0;
+    });
+    let ece = 0;
+    bins.forEach(b => {
+        if (b.count === 0) return;
+        b.confidence /= b.count;
+        b.accuracy /= b.count;
+        ece += (b.count / committed.length) * Math.abs(b.accuracy - b.confidence);
+    });
+    return { bins, ece };
+}
+
+/**
+ * Runs the detector over a corpus and collects every metric.
+ * @param {Array<Object>} corpus
+ */
+export function evaluate(corpus) {
+    const results = corpus.map(predict);
+    const categories = categoriesOf(results);
+    const stats = perCategory(results, categories);
+    const withSupport = categories.filter(c => stats[c].support > 0);
+    const { bins, ece } = calibration(results);
+
+    return {
+        summary: {
+            entries: results.length,
+            accuracy: results.filter(r => r.correct).length / results.length,
+            macroF1: withSupport.reduce((s, c) => s + stats[c].f1, 0) / withSupport.length,
+            blendOverlap: blendOverlap(results),
+            ece
+        },
+        categories: stats,
+        confusion: confusionMatrix(results, categories),
+        calibration: bins,
+        entries: results.map(({ id, label, predicted, correct, confidence }) =>
+            ({ id, label, predicted, correct, confidence }))
+    };
+}
+
+// ── Baseline diff ────────────────────────────────────────────
+/**
+ * What changed between two reports: summary deltas, per-category F1
+ * deltas, and the entries that were fixed or broken.
+ */
+export function diffReports(baseline, current) {
+    const summary = {};
+    for (const key of Object.keys(current.summary)) {
+        const before = baseline.summary[key];
+        const after = current.summary[key];
+        if (typeof before === 'number' && typeof after === 'number') summary[key] = after - before;
+    }
+
+    const categories = {};
+    for (const [c, stats] of Object.entries(current.categories)) {
+        const delta = stats.f1 - (baseline.categories[c]?.f1 ?? 0);
+        if (Math.abs(delta) > 1e-9) categories[c] = delta;
+    }
+
+    const before = new Map(baseline.entries.map(e => [e.id, e]));
+    const fixed = [];
+    const broken = [];
+    current.entries.forEach(e => {
+        const old = before.get(e.id);
+        if (!old || old.correct === e.correct) return;
+        (e.correct ? fixed : broken).push({ id: e.id, label: e.label, was: old.predicted, now: e.predicted });
+    });
+
+    return { summary, categories, fixed, broken };
+}
+
+// ── Text output ──────────────────────────────────────────────
+const pct = v => v === null ? '—' : `${(v * 100).toFixed(1)}%`;
+const signed = v => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}`;
+const pad = (s, n) => String(s).padEnd(n);
+const padStart = (s, n) => String(s).padStart(n);
+
+function formatReport(report, diff) {
+    const lines = [];
+    const { summary } = report;
+
+    lines.push(`detectEmotion — ${summary.entries} entries`);
+    lines.push(`  accuracy       ${pct(summary.accuracy)}`);
+    lines.push(`  macro F1       ${pct(summary.macroF1)}`);
+    lines.push(`  blend overlap  ${pct(summary.blendOverlap)}`);
+    lines.push(`  calibration    ECE ${pct(summary.ece)}`);
+
+    lines.push('', `${pad('category', 14)}${padStart('n', 4)}${padStart('prec', 8)}${padStart('recall', 8)}${padStart('F1', 8)}`);
+    for (const [c, s] of Object.entries(report.categories)) {
+        lines.push(`${pad(c, 14)}${padStart(s.support, 4)}${padStart(pct(s.precision), 8)}${padStart(pct(s.recall), 8)}${padStart(pct(s.f1), 8)}`);
+    }
+
+    // Rows are gold labels, columns predictions (first four letters)
+    const cats = Object.keys(report.confusion);
+    lines.push('', 'confusion (rows = gold, columns = predicted)');
+    lines.push(pad('', 14) + cats.map(c => padStart(c.slice(0, 4), 5)).join(''));
+    cats.forEach(g => {
+        lines.push(pad(g, 14) + cats.map(p => padStart(report.confusion[g][p] || '·', 5)).join(''));
+    });
+
+    lines.push('', 'calibration (committed predictions)');
+    report.calibration.forEach(b => {
+        const range = `${b.from.toFixed(1)}–${b.to.toFixed(1)}`;
+        lines.push(`  ${range}  n=${padStart(b.count, 3)}  confidence ${pct(b.count ? b.confidence : null)}  accuracy ${pct(b.count ? b.accuracy : null)}`);
+    });
+
+    const misses = report.entries.filter(e => !e.correct);
+    if (misses.length) {
+        lines.push('', 'misses');
+        misses.forEach(e => lines.push(`  ${pad(e.id, 18)}${pad(e.label, 14)}→ ${e.predicted}`));
+    }
+
+    if (diff) {
+        lines.push('', 'vs baseline');
+        for (const [key, delta] of Object.entries(diff.summary)) {
+            if (key !== 'entries') lines.push(`  ${pad(key, 14)} ${signed(delta)} pts`);
+        }
+        for (const [c, delta] of Object.entries(diff.categories)) {
+            lines.push(`  F1 ${pad(c, 11)} ${signed(delta)} pts`);
+        }
+        diff.fixed.forEach(e => lines.push(`  fixed   ${pad(e.id, 18)}${e.was} → ${e.now}`));
+        diff.broken.forEach(e => lines.push(`  broken  ${pad(e.id, 18)}${e.was} → ${e.now}`));
+        if (!diff.fixed.length && !diff.broken.length) lines.push('  no entries changed');
+    }
+
+    return lines.join('\n');
+}
+
+// ── CLI ──────────────────────────────────────────────────────
+function parseArgs(argv) {
+    const args = { json: false, save: false, corpus: DEFAULT_CORPUS, baseline: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = true;
+        else if (arg === '--save-baseline') args.save = true;
+        else if (arg === '--corpus') args.corpus = argv[++i];
+        else if (arg === '--baseline') args.baseline = argv[++i];
+        else throw new Error(`unknown option "${arg}"`);
+    }
+    if (!args.baseline && existsSync(DEFAULT_BASELINE)) args.baseline = DEFAULT_BASELINE;
+    return args;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+    }
+
+    const corpus = JSON.parse(readFileSync(args.corpus, 'utf8'));
+    const report = evaluate(corpus);
+
+    if (args.save) {
+        writeFileSync(DEFAULT_BASELINE, JSON.stringify(report, null, 2) + '\n');
+        console.error(`baseline written to ${DEFAULT_BASELINE}`);
+    }
+
+    const diff = args.baseline && !args.save
+        ? diffReports(JSON.parse(readFileSync(args.baseline, 'utf8')), report)
+        : null;
+
+    console.log(args.json ? JSON.stringify({ ...report, diff }, null, 2) : formatReport(report, diff));
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) main();
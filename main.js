@@ -7,31 +7,98 @@
 //    • Additive glow compositing (ctx.globalCompositeOperation='lighter')
 //    • Click-to-place attractor / right-click repeller system
 //    • 9 emotions supported (imported from updated modules)
+//    • Optional live preview while typing (detection in a Worker)
+//    • WebGL rendering, with the Canvas2D path as fallback
+//    • Fixed-timestep physics, the same speed at any refresh rate
 // =============================================================
 
 import { Particle } from './particles/Particle.js';
-import { detectEmotion } from './utils/emotionDetector.js';
+import { ParticlePool } from './particles/ParticlePool.js';
+import { QualityController } from './particles/QualityController.js';
+import { WebGLRenderer } from './particles/WebGLRenderer.js';
+import { CanvasRenderer } from './particles/CanvasRenderer.js';
+import { SpatialHash } from './particles/SpatialHash.js';
+import { applyNeighbourForces, NEIGHBOUR_CELL } from './particles/neighbourForces.js';
+import { detectEmotion, fetchLexiconPack, setPersonalLexicon, SUPPORTED_LANGUAGES } from './utils/emotionDetector.js';
 import { EMOTION_CONFIG, IDLE_CONFIG, EMOTION_META } from './utils/emotionConfig.js';
 import { getSensationSuggestions } from './utils/bodySensationMapper.js';
 import { getPhysicsForSensation } from './utils/sensationPhysicsMapper.js';
+import { createRandom, deriveSeed, forkSeed, hashSeed, randomSeed } from './utils/random.js';
+import { EMOTION_VAD, toVad } from './utils/vadLexicon.js';
+import { likelyLabels, recordLabel } from './utils/selfLabels.js';
+import {
+    loadPersonalLexicon, savePersonalLexicon, clearPersonalLexicon,
+    learnFromCorrection, forgetWord, describePersonalLexicon
+} from './utils/personalLexicon.js';
 
 // ── Canvas setup ──────────────────────────────────────────────
+// WebGL when the browser has it; ?renderer=canvas forces the Canvas2D
+// fallback (both draw the same picture, see particles/).
 const canvas = document.getElementById('emotropy-canvas');
-const ctx = canvas.getContext('2d');
+const rendererParam = new URLSearchParams(window.location.search).get('renderer');
+const renderer = (rendererParam !== 'canvas' && WebGLRenderer.create(canvas)) || new CanvasRenderer(canvas);
 
 function resizeCanvas() {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+    renderer.resize(window.innerWidth, window.innerHeight);
 }
 resizeCanvas();
 window.addEventListener('resize', resizeCanvas);
 
 // ── Particle pool ─────────────────────────────────────────────
-/** @type {Particle[]} */
-let particles = [];
-const MAX_PARTICLES = 700;
+// Particles are recycled rather than reallocated; `particles` is the
+// pool's live list, updated in place.
+const MAX_PARTICLES = renderer.maxParticles;
+const pool = new ParticlePool(MAX_PARTICLES, Math.min(MAX_PARTICLES, 1024));
+const particles = pool.live;
+
+// One spawn spec, refilled for every particle: the pool copies what it
+// needs out of it, so a burst builds no config objects.
+const spawnSpec = {
+    color: '', glowColor: undefined, size: 0, speed: 0, friction: 0,
+    behaviour: '', forces: null, lifespan: 0, trail: 8, bodily: 1, seed: 0
+};
+
+function fillSpawnSpec(config) {
+    spawnSpec.color = config.color;
+    spawnSpec.glowColor = config.glowColor;
+    spawnSpec.size = config.size;
+    spawnSpec.speed = config.speed;
+    spawnSpec.friction = config.friction;
+    spawnSpec.behaviour = config.behaviour;
+    spawnSpec.forces = config.forces;
+    spawnSpec.lifespan = config.lifespan;
+    spawnSpec.trail = config.trail;
+    spawnSpec.bodily = config.bodily;
+    return spawnSpec;
+}
+
 let uiLocked = false;
 
+// ── Adaptive quality ──────────────────────────────────────────
+// Trails, particle fill, the particle cap and the background glows
+// step down while frames run long and back up once there is headroom
+// (see particles/QualityController.js). ?stats shows the current level.
+const quality = new QualityController();
+const statsOverlay = document.getElementById('stats-overlay');
+statsOverlay.hidden = !new URLSearchParams(window.location.search).has('stats');
+let statsShownAt = 0;
+
+function applyQuality() {
+    pool.capacity = Math.round(MAX_PARTICLES * quality.settings.cap);
+    pool.makeRoom(0);
+}
+
+function updateStats(now) {
+    if (statsOverlay.hidden || now - statsShownAt < 250) return;
+    statsShownAt = now;
+    statsOverlay.textContent = [
+        `${quality.fps.toFixed(0)} fps · ${quality.workMs.toFixed(1)} ms`,
+        `quality   ${quality.settings.name}`,
+        `particles ${particles.length} / ${pool.capacity}`,
+        `renderer  ${renderer.kind}`
+    ].join('\n');
+}
+
 // ── Attractor / Repeller system ───────────────────────────────
 /**
  * @typedef {{ x:number, y:number, type:'attract'|'repel',
@@ -40,7 +107,7 @@ let uiLocked = false;
  */
 let attractors = [];
 const MAX_ATTRACTORS = 3;
-const ATTRACTOR_LIFE = 600;   // frames before auto-removing
+const ATTRACTOR_LIFE = 10;    // seconds before auto-removing
 const ATTRACTOR_R = 160;   // influence radius in px
 const ATTRACTOR_STR = 0.22;  // force scalar
 
@@ -63,30 +130,109 @@ function placeAttractor(x, y, type) {
 let bgGlowColor = 'rgba(100,100,150,0.02)';
 let bgGlowColor2 = 'rgba(100,100,150,0.00)';  // secondary blend colour
 
+// ── Dimensional drive (valence / arousal / dominance) ─────────
+// detectEmotion().vad sets global simulation parameters: arousal the
+// speed of every particle on screen (applied each step, see
+// stepSimulation), valence the glow brightness, dominance the glow's
+// reach. A neutral reading leaves every multiplier at 1.
+let simSpeed = 1;        // 0.6 → 1.4
+let glowBrightness = 1;  // 0.5 → 1.5
+let glowReach = 1;       // 0.8 → 1.2
+
+function applyDimensions({ valence, arousal, dominance }) {
+    simSpeed = 1 + arousal * 0.4;
+    glowBrightness = 1 + valence * 0.5;
+    glowReach = 1 + dominance * 0.2;
+}
+
+// Multiplies the alpha of an 'rgba(r,g,b,a)' colour, capped at 1.
+function scaleAlpha(rgba, k) {
+    return rgba.replace(/[\d.]+\)$/, a => `${Math.min(1, parseFloat(a) * k)})`);
+}
+
 // ── UI elements ───────────────────────────────────────────────
 const form = document.getElementById('emotion-form');
 const textInput = document.getElementById('emotion-input');
 const submitBtn = document.getElementById('submit-btn');
 const emotionLabel = document.getElementById('emotion-label');
 const confidenceEl = document.getElementById('confidence-bar-fill');
+const confidenceContainer = document.getElementById('confidence-container');
 const badge = document.getElementById('emotion-badge');
 const sensationPanel = document.getElementById('sensation-panel');
 const sensationTags = document.getElementById('sensation-tags');
+const evidenceText = document.getElementById('evidence-text');
+const correctionNote = document.getElementById('correction-note');
+const labelPicker = document.getElementById('label-picker');
+const labelHeading = document.getElementById('label-picker-heading');
+const labelChoices = document.getElementById('label-choices');
+const labelMore = document.getElementById('label-more');
+const correctBtn = document.getElementById('correct-btn');
+const learnedBtn = document.getElementById('learned-btn');
+const learnedPanel = document.getElementById('learned-panel');
+const learnedList = document.getElementById('learned-list');
+const learnedEmpty = document.getElementById('learned-empty');
+const learnedReset = document.getElementById('learned-reset');
+const learnedClose = document.getElementById('learned-close');
+const languageSelect = document.getElementById('language-select');
+const liveToggle = document.getElementById('live-preview');
+const ghostLabel = document.getElementById('ghost-label');
 const appContainer = document.getElementById('app');
+const seedInput = document.getElementById('seed-input');
+const packNote = document.getElementById('pack-note');
+
+// ── Seeded randomness ─────────────────────────────────────────
+// One seed for the session, from ?seed= or picked at boot and shown in
+// the UI. Each submission reseeds from the seed plus its text, so the
+// same text and seed give the same sensations and the same animation.
+// Every particle draws from its own fork of the stream, so one
+// particle's behaviour never shifts the others'.
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+let seed = seedParam ? hashSeed(seedParam) : randomSeed();
+let rng = createRandom(seed);
+
+function reseed(text) {
+    rng = createRandom(deriveSeed(seed, text));
+}
+
+// The field keeps the seed as typed ("monday"); only a cleared field
+// is refilled, with the fresh seed picked for it.
+seedInput.value = seedParam ?? seed;
+seedInput.addEventListener('change', () => {
+    const value = seedInput.value.trim();
+    seed = value ? hashSeed(value) : randomSeed();
+    if (!value) seedInput.value = seed;
+});
 
 // ── Spawn particles — blended multi-emotion ───────────────────
+// detectEmotion().intensity (0–1) scales the burst: a mild feeling
+// gets a small, slow, fine cloud, an overwhelming one a full storm.
+// Each factor runs linearly from its `mild` value at 0 to `full` at 1.
+const INTENSITY_SCALE = {
+    count: { mild: 0.35, full: 1.3 },
+    speed: { mild: 0.6, full: 1.4 },
+    size: { mild: 0.7, full: 1.3 }
+};
+
+const scaleFor = (factor, intensity) => {
+    const { mild, full } = INTENSITY_SCALE[factor];
+    return mild + (full - mild) * intensity;
+};
+
 /**
  * Spawns particles for a full blend array returned by detectEmotion().
  *
  * @param {Array<{emotion:string, weight:number}>} blend
- * @param {number} totalCount  - Total particle budget for this submission
+ * @param {number} totalCount  - Particle budget for this submission at full intensity
  * @param {number} bodily      - Bodily sensation multiplier (0.8–2.0)
+ * @param {number} intensity   - detectEmotion().intensity (0–1)
  */
-function spawnBlend(blend, totalCount, bodily) {
+function spawnBlend(blend, totalCount, bodily, intensity) {
+    totalCount = Math.round(totalCount * scaleFor('count', intensity));
+    const speedScale = scaleFor('speed', intensity);
+    const sizeScale = scaleFor('size', intensity);
+
     // Remove oldest particles if at cap
-    if (particles.length + totalCount > MAX_PARTICLES) {
-        particles.splice(0, particles.length + totalCount - MAX_PARTICLES);
-    }
+    pool.makeRoom(totalCount);
 
     const cx = canvas.width / 2;
     const cy = canvas.height / 2;
@@ -97,44 +243,44 @@ function spawnBlend(blend, totalCount, bodily) {
 
         for (let i = 0; i < count; i++) {
             const spread = Math.min(canvas.width, canvas.height) * 0.12;
-            const spawnX = cx + (Math.random() - 0.5) * spread;
-            const spawnY = cy + (Math.random() - 0.5) * spread;
-
-            particles.push(new Particle(spawnX, spawnY, {
-                ...config,
-                speed: config.speed * (0.7 + Math.random() * 0.6),
-                lifespan: config.lifespan * (0.8 + Math.random() * 0.4),
-                bodily                       // pass bodily intensity to particle
-            }));
+            const spawnX = cx + (rng() - 0.5) * spread;
+            const spawnY = cy + (rng() - 0.5) * spread;
+
+            const spec = fillSpawnSpec(config);
+            spec.speed = config.speed * speedScale * (0.7 + rng() * 0.6);
+            spec.size = config.size * sizeScale;
+            spec.lifespan = config.lifespan * (0.8 + rng() * 0.4);
+            spec.bodily = bodily;            // pass bodily intensity to particle
+            spec.seed = forkSeed(rng);
+            pool.spawn(spawnX, spawnY, spec);
         }
     });
 }
 
 // ── Legacy single-config spawn (for idle boot) ───────────────
 function spawnParticles(config) {
-    if (particles.length + config.count > MAX_PARTICLES) {
-        particles.splice(0, config.count);
-    }
+    pool.makeRoom(config.count);
     const cx = canvas.width / 2;
     const cy = canvas.height / 2;
 
     for (let i = 0; i < config.count; i++) {
         const spread = Math.min(canvas.width, canvas.height) * 0.12;
-        const spawnX = cx + (Math.random() - 0.5) * spread;
-        const spawnY = cy + (Math.random() - 0.5) * spread;
-        particles.push(new Particle(spawnX, spawnY, {
-            ...config,
-            speed: config.speed * (0.7 + Math.random() * 0.6),
-            lifespan: config.lifespan * (0.8 + Math.random() * 0.4),
-            bodily: 1
-        }));
+        const spawnX = cx + (rng() - 0.5) * spread;
+        const spawnY = cy + (rng() - 0.5) * spread;
+        const spec = fillSpawnSpec(config);
+        spec.speed = config.speed * (0.7 + rng() * 0.6);
+        spec.lifespan = config.lifespan * (0.8 + rng() * 0.4);
+        spec.bodily = 1;
+        spec.seed = forkSeed(rng);
+        pool.spawn(spawnX, spawnY, spec);
     }
 }
 
 // ── Attractor / Repeller forces ───────────────────────────────
 function applyAttractors() {
-    attractors.forEach(pt => {
-        particles.forEach(p => {
+    for (const pt of attractors) {
+        for (let i = 0; i < particles.length; i++) {
+            const p = particles[i];
             const dx = pt.x - p.x;
             const dy = pt.y - p.y;
             const dist = Math.sqrt(dx * dx + dy * dy) || 1;
@@ -147,57 +293,62 @@ function applyAttractors() {
                     p.applyForce(-(dx / dist) * force, -(dy / dist) * force);
                 }
             }
-        });
-        pt.age++;
-    });
+        }
+        pt.age += STEP;
+    }
 
     // Remove expired attractors
     attractors = attractors.filter(pt => pt.age < ATTRACTOR_LIFE);
 }
 
-// ── Anger inter-particle repulsion (O(n) sample) ─────────────
-function applyRepulsion() {
-    const R = 60, F = 0.4;
-    const sample = particles.filter(p => p.behaviour === 'anger').slice(0, 80);
-    for (let i = 0; i < sample.length; i++) {
-        for (let j = i + 1; j < sample.length; j++) {
-            const a = sample[i], b = sample[j];
-            const dx = b.x - a.x, dy = b.y - a.y;
-            const dSq = dx * dx + dy * dy;
-            if (dSq < R * R && dSq > 0.01) {
-                const d = Math.sqrt(dSq), f = F / d;
-                a.applyForce(-dx * f, -dy * f);
-                b.applyForce(dx * f, dy * f);
-            }
-        }
-    }
+// ── Neighbour forces (anger, fear, calm, tender, loneliness) ──
+// Every particle is indexed in a uniform grid each step, so the
+// per-emotion neighbour rules stay near-linear in particle count.
+const grid = new SpatialHash(NEIGHBOUR_CELL);
+
+function applyNeighbours() {
+    grid.rebuild(particles, canvas.width, canvas.height);
+    applyNeighbourForces(particles, grid);
 }
 
 // ── Emotion UI update ─────────────────────────────────────────
+// "Stress + Gratitude" for a blend, or the single emotion's label
+function blendLabel(blend) {
+    return blend.slice(0, 2).map(b => EMOTION_META[b.emotion]?.label ?? b.emotion).join(' + ');
+}
+
+// Certainty below this marks the reading as tentative
+const TENTATIVE_BELOW = 0.85;
+const MODALITY_NOTES = {
+    hedge: 'hedged',
+    question: 'asked as a question',
+    conditional: 'conditional'
+};
+
 /**
  * @param {string}                              dominantEmotion
  * @param {number}                              confidence
  * @param {Array<{emotion:string,weight:number}>} blend
+ * @param {number}   [certainty=1]  - detectEmotion().certainty
+ * @param {string[]} [modality=[]]  - hedge / question / conditional kinds found
  */
-function updateEmotionUI(dominantEmotion, confidence, blend) {
+function updateEmotionUI(dominantEmotion, confidence, blend, certainty = 1, modality = []) {
     const config = EMOTION_CONFIG[dominantEmotion] ?? IDLE_CONFIG;
     const meta = EMOTION_META[dominantEmotion] ?? EMOTION_META.idle;
-    bgGlowColor = config.bgGlow;
+    bgGlowColor = scaleAlpha(config.bgGlow, glowBrightness);
 
     // Secondary glow from secondary blend emotion (if present)
     const second = blend?.[1];
-    bgGlowColor2 = second ? (EMOTION_CONFIG[second.emotion]?.bgGlow ?? 'transparent') : 'transparent';
+    bgGlowColor2 = second
+        ? scaleAlpha(EMOTION_CONFIG[second.emotion]?.bgGlow ?? 'transparent', glowBrightness)
+        : 'transparent';
 
     // Fade badge out then swap content
     emotionLabel.style.opacity = '0';
 
     setTimeout(() => {
         // Build compound label if blend has 2 emotions
-        const compoundLabel = blend && blend.length >= 2
-            ? `${EMOTION_META[blend[0].emotion]?.label ?? blend[0].emotion} + ${EMOTION_META[blend[1].emotion]?.label ?? blend[1].emotion}`
-            : meta.label;
-
-        emotionLabel.textContent = compoundLabel;
+        emotionLabel.textContent = blend && blend.length >= 2 ? blendLabel(blend) : meta.label;
         emotionLabel.style.color = config.color;
         emotionLabel.style.opacity = '1';
     }, 200);
@@ -208,12 +359,87 @@ function updateEmotionUI(dominantEmotion, confidence, blend) {
     confidenceEl.style.backgroundColor = config.color;
     confidenceEl.style.boxShadow = `0 0 8px ${config.glowColor}`;
 
+    // Hedged, questioning or conditional writing draws a broken bar
+    const tentative = certainty < TENTATIVE_BELOW;
+    confidenceEl.classList.toggle('tentative', tentative);
+    confidenceContainer.title = tentative
+        ? `Emotion confidence — tentative (${modality.map(m => MODALITY_NOTES[m]).join(', ')})`
+        : 'Emotion confidence';
+
     // Pulse animation
     badge.classList.remove('pulse');
     void badge.offsetWidth;
     badge.classList.add('pulse');
 }
 
+// ── Evidence UI (why this emotion) ────────────────────────────
+// Tooltip wording for evidence.negation (see detectEmotion)
+const NEGATION_NOTES = {
+    negated: 'negated',
+    softened: 'negated, softened',
+    double: 'double negative',
+    superlative: 'never … so'
+};
+
+/**
+ * Re-renders the submitted text with every emotion-lexicon hit wrapped
+ * in a <mark> coloured by its emotion. Hits sharing a span (a word in
+ * two lexicons) take the colour of the larger contribution.
+ *
+ * Misspelt words the detector read as lexicon words are listed below
+ * it ("read 'overwelmed' as 'overwhelmed'").
+ *
+ * @param {string} text
+ * @param {Array<Object>} evidence    - detectEmotion().evidence
+ * @param {Array<Object>} corrections - detectEmotion().corrections
+ */
+function updateEvidenceUI(text, evidence, corrections = []) {
+    evidenceText.innerHTML = '';
+
+    const spans = new Map();
+    (evidence ?? []).filter(e => e.lexicon !== 'bodily').forEach(e => {
+        const key = `${e.start}:${e.end}`;
+        if (!spans.has(key)) spans.set(key, []);
+        spans.get(key).push(e);
+    });
+
+    const amount = e => Object.values(e.contributions).reduce((s, v) => s + v, 0);
+    let cursor = 0;
+
+    [...spans.values()]
+        .sort((a, b) => a[0].start - b[0].start)
+        .forEach(hits => {
+            const { start, end } = hits[0];
+            if (start < cursor) return;
+            const primary = hits.reduce((best, h) => amount(h) > amount(best) ? h : best);
+
+            evidenceText.appendChild(document.createTextNode(text.slice(cursor, start)));
+
+            const mark = document.createElement('mark');
+            mark.className = primary.negated ? 'evidence-mark negated' : 'evidence-mark';
+            mark.textContent = text.slice(start, end);
+            mark.style.setProperty('--mark-color', EMOTION_CONFIG[primary.lexicon]?.color ?? '#FFFFFF');
+            mark.title = hits.map(h => {
+                const label = EMOTION_META[h.lexicon]?.label ?? h.lexicon;
+                const notes = [h.corrected && 'spelling corrected', h.intensified && 'intensified', h.shouted && 'shouted', h.stretched && 'stretched', NEGATION_NOTES[h.negation]].filter(Boolean);
+                return `"${h.match}" → ${label}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+            }).join('\n');
+
+            evidenceText.appendChild(mark);
+            cursor = end;
+        });
+
+    evidenceText.appendChild(document.createTextNode(text.slice(cursor)));
+    evidenceText.classList.toggle('visible', spans.size > 0);
+
+    // One note per distinct spelling, in reading order
+    const readAs = new Map(corrections.map(c => [c.text.toLowerCase(), c]));
+    correctionNote.textContent = [...readAs.values()]
+        .map(c => `read '${c.text}' as '${c.match}'`)
+        .join(' · ');
+    correctionNote.classList.toggle('visible', readAs.size > 0);
+}
+
 // ── Body sensation suggestion UI ──────────────────────────────
 /**
  * Populates the sensation panel with suggested somatic tags.
@@ -221,7 +447,7 @@ function updateEmotionUI(dominantEmotion, confidence, blend) {
  * @param {string} dominantColor  - Hex colour of dominant emotion
  */
 function updateSensationUI(blend, dominantColor) {
-    const suggestions = getSensationSuggestions(blend, 4);
+    const suggestions = getSensationSuggestions(blend, 4, rng);
 
     // Clear previous tags
     sensationTags.innerHTML = '';
@@ -276,20 +502,19 @@ function spawnSensation(label, x, y) {
     const spawnX = x ?? canvas.width / 2;
     const spawnY = y ?? (canvas.height / 2 + 100);
 
+    pool.makeRoom(count);
     for (let i = 0; i < count; i++) {
-        const config = {
-            ...profile,
-            size: (profile.size ?? 4) * 0.8,
-            lifespan: (profile.lifespan ?? 200) * 0.7,
-            trail: 6
-        };
-        const p = new Particle(spawnX, spawnY, config);
+        const spec = fillSpawnSpec(profile);
+        spec.size = (profile.size ?? 4) * 0.8;
+        spec.lifespan = (profile.lifespan ?? 3.3) * 0.7;
+        spec.trail = 6;
+        spec.seed = forkSeed(rng);
+        const p = pool.spawn(spawnX, spawnY, spec);
         // Add random velocity blast
-        const angle = Math.random() * Math.PI * 2;
-        const mag = Math.random() * 4 + 2;
+        const angle = rng() * Math.PI * 2;
+        const mag = rng() * 4 + 2;
         p.vx += Math.cos(angle) * mag;
         p.vy += Math.sin(angle) * mag;
-        particles.push(p);
     }
 }
 
@@ -298,9 +523,15 @@ form.addEventListener('submit', (e) => {
     e.preventDefault();
     const text = textInput.value.trim();
     if (!text) return;
+    clearPreview();
+    hideLabelPicker();
+    correctBtn.hidden = true;
+    lastReading = null;
+    reseed(text);
 
     // Detect with full blend + bodily output
-    const { emotion, confidence, blend, bodily, total } = detectEmotion(text);
+    const result = detectEmotion(text, { language: languageSelect.value });
+    updateLanguageUI(result.language);
 
     // Transition from initial state if needed
     const isFirstSubmit = appContainer.classList.contains('state-initial');
@@ -317,45 +548,255 @@ form.addEventListener('submit', (e) => {
     setTimeout(() => {
         badge.classList.remove('analyzing');
 
-        if (total === 0) {
-            // Clarification system: System isn't sure
-            emotionLabel.textContent = 'Unclear';
-            emotionLabel.style.color = 'var(--text-muted)';
-            confidenceEl.style.width = '0%';
-
-            // Ask for clarification
-            textInput.value = '';
-            textInput.placeholder = 'Could you describe that feeling more deeply?';
-            submitBtn.textContent = 'Feel It';
-            submitBtn.disabled = false;
-            textInput.disabled = false;
-            uiLocked = false;
+        // Clarification system: nothing scored, or too little to show
+        // boldly — the user names the feeling instead
+        if (result.total === 0 || result.confidence < UNSURE_BELOW) {
+            askForLabel(text, result);
             return;
         }
 
-        // Lock UI until particles clear (only if we actually spawn results)
-        uiLocked = true;
-        submitBtn.disabled = true;
-        textInput.disabled = true;
+        visualise(text, result);
+        lastReading = { text, result };
+        correctBtn.hidden = false;
+    }, resultDelay);
+});
 
-        // Update badge (shows compound label for blends)
-        updateEmotionUI(emotion, confidence, blend);
+/**
+ * Runs the simulation for a reading: badge, evidence, particles and
+ * body sensations, then locks the input until the particles fade.
+ * @param {string} text
+ * @param {Object} result - detectEmotion() output, or a user-chosen reading
+ */
+function visualise(text, { emotion, confidence, certainty, intensity, blend, bodily, vad, evidence, corrections }) {
+    // Lock UI until particles clear (only if we actually spawn results)
+    uiLocked = true;
+    submitBtn.disabled = true;
+    textInput.disabled = true;
+
+    // Update badge (shows compound label for blends)
+    applyDimensions(vad);
+    const modality = [...new Set(evidence.flatMap(e => e.modality))];
+    updateEmotionUI(emotion, confidence, blend, certainty, modality);
+    updateEvidenceUI(text, evidence, corrections);
+
+    // Spawn proportional blend of particles
+    const totalSpawn = blend.length > 1 ? 160 : 120;
+    spawnBlend(blend, totalSpawn, bodily, intensity);
+
+    // Show body sensation suggestions
+    updateSensationUI(blend, EMOTION_CONFIG[emotion]?.color ?? '#FFFFFF');
+
+    // Button feedback
+    submitBtn.textContent = 'Visualizing…';
+    textInput.value = '';
+    textInput.style.height = 'auto'; // Reset height
+    textInput.placeholder = 'Wait for current feeling to fade…';
+    appContainer.classList.remove('diary-mode');
+}
 
-        // Spawn proportional blend of particles
-        const totalSpawn = blend.length > 1 ? 160 : 120;
-        spawnBlend(blend, totalSpawn, bodily);
+// ── Self-labelling (when the detector is unsure) ──────────────
+// Confidence below this asks the user instead of guessing boldly.
+// The picker offers what scored, strongest first, and every category
+// on request; the choice is recorded with the text (selfLabels.js),
+// taught to the personal lexicon, and the simulation runs from it.
+// "Not right?" opens the same picker to correct a confident reading.
+const UNSURE_BELOW = 0.4;
+const LABEL_CATEGORIES = Object.keys(EMOTION_META).filter(e => e !== 'idle');
+
+let lastReading = null;   // { text, result } behind the running simulation
+
+function askForLabel(text, result) {
+    const unclear = result.total === 0;
+    emotionLabel.textContent = unclear ? 'Unclear' : 'Not sure';
+    emotionLabel.style.color = 'var(--text-muted)';
+    confidenceEl.style.width = `${Math.round((unclear ? 0 : result.confidence) * 100)}%`;
+    confidenceEl.style.backgroundColor = 'var(--text-muted)';
+    confidenceEl.style.boxShadow = 'none';
+    confidenceEl.classList.toggle('tentative', !unclear);
+    updateEvidenceUI(text, unclear ? [] : result.evidence, result.corrections);
+    sensationPanel.classList.remove('visible');
+
+    showLabelPicker(text, result, unclear
+        ? "I couldn't find a feeling in that. Which is closest?"
+        : "I'm not sure I read that right. Which is closest?");
+
+    // The input stays open: rephrasing works as well as picking
+    textInput.value = '';
+    textInput.placeholder = 'Or describe that feeling more deeply…';
+    submitBtn.textContent = 'Feel It';
+    submitBtn.disabled = false;
+    textInput.disabled = false;
+    uiLocked = false;
+}
 
-        // Show body sensation suggestions
-        updateSensationUI(blend, EMOTION_CONFIG[emotion]?.color ?? '#FFFFFF');
+correctBtn.addEventListener('click', () => {
+    if (!lastReading) return;
+    correctBtn.hidden = true;
+    const { text, result } = lastReading;
+    showLabelPicker(text, result, 'What are you feeling instead?', result.emotion);
+});
 
-        // Button feedback
-        submitBtn.textContent = 'Visualizing…';
-        textInput.value = '';
-        textInput.style.height = 'auto'; // Reset height
-        textInput.placeholder = 'Wait for current feeling to fade…';
-        appContainer.classList.remove('diary-mode');
-    }, resultDelay);
+/**
+ * Fills and shows the picker.
+ * @param {string} text
+ * @param {Object} result   - detectEmotion() output for `text`
+ * @param {string} heading
+ * @param {string} [exclude] - the reading being corrected, not offered again
+ */
+function showLabelPicker(text, result, heading, exclude) {
+    labelHeading.textContent = heading;
+
+    const addChoice = (emotion) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'label-choice';
+        button.textContent = EMOTION_META[emotion].label;
+        button.style.setProperty('--tag-color', EMOTION_CONFIG[emotion].color);
+        button.style.setProperty('--tag-glow', EMOTION_CONFIG[emotion].color + '33');
+        button.addEventListener('click', () => applyLabel(text, result, emotion));
+        labelChoices.appendChild(button);
+    };
+
+    const likely = likelyLabels(result.scores).filter(e => e !== exclude);
+    const others = LABEL_CATEGORIES.filter(e => e !== exclude && !likely.includes(e));
+
+    labelChoices.innerHTML = '';
+    if (likely.length) likely.forEach(addChoice);
+    else others.forEach(addChoice);
+
+    labelMore.hidden = likely.length === 0;
+    labelMore.onclick = () => {
+        labelMore.hidden = true;
+        others.forEach(addChoice);
+    };
+
+    labelPicker.classList.add('visible');
+}
+
+function hideLabelPicker() {
+    labelPicker.classList.remove('visible');
+    labelChoices.innerHTML = '';
+}
+
+// The user's own label: record it, learn from it, and run the
+// simulation from it in place of whatever was showing.
+function applyLabel(text, result, emotion) {
+    hideLabelPicker();
+    const unclear = result.total === 0;
+    recordLabel({
+        text,
+        label: emotion,
+        detected: unclear ? 'unclear' : result.emotion,
+        confidence: unclear ? 0 : result.confidence,
+        language: result.language
+    });
+    learn(result, emotion);
+
+    if (lastReading) pool.clear();
+    reseed(text);
+    visualise(text, {
+        ...result,
+        emotion,
+        confidence: 1,
+        certainty: 1,
+        // Nothing scored says nothing about strength: a middling burst
+        intensity: unclear ? 0.5 : result.intensity,
+        blend: [{ emotion, weight: 1 }],
+        vad: toVad(EMOTION_VAD[emotion])
+    });
+    lastReading = null;
+}
+
+// ── Personal lexicon (learned from corrections) ───────────────
+// Weight shifts per word and category, kept in localStorage and
+// applied over the built-in lexicons (personalLexicon.js). The live
+// preview worker gets every update too.
+let personalShifts = loadPersonalLexicon();
+
+function usePersonalShifts(shifts) {
+    personalShifts = shifts;
+    setPersonalLexicon(shifts);
+    liveWorker?.postMessage({ type: 'personal', shifts });
+}
+
+function learn(result, emotion) {
+    if (result.evidence.length === 0) return;
+    const { shifts } = learnFromCorrection(personalShifts, {
+        evidence: result.evidence,
+        chosen: emotion,
+        language: result.language
+    });
+    savePersonalLexicon(shifts);
+    usePersonalShifts(shifts);
+}
+
+const formatShift = v => `${v > 0 ? '+' : '−'}${Math.abs(v).toFixed(1)}`;
+
+function renderLearned() {
+    const rows = describePersonalLexicon(personalShifts);
+    learnedList.innerHTML = '';
+    learnedEmpty.hidden = rows.length > 0;
+    learnedReset.disabled = rows.length === 0;
+
+    rows.forEach(({ language, word, shifts }) => {
+        const item = document.createElement('li');
+        item.className = 'learned-row';
+
+        const name = document.createElement('span');
+        name.className = 'learned-word';
+        name.textContent = language === 'en' ? word : `${word} (${language})`;
+        item.appendChild(name);
+
+        shifts.forEach(({ emotion, shift }) => {
+            const chip = document.createElement('span');
+            chip.className = 'learned-shift';
+            chip.textContent = `${EMOTION_META[emotion]?.label ?? emotion} ${formatShift(shift)}`;
+            chip.style.setProperty('--tag-color', EMOTION_CONFIG[emotion]?.color ?? '#FFFFFF');
+            item.appendChild(chip);
+        });
+
+        const forget = document.createElement('button');
+        forget.type = 'button';
+        forget.className = 'learned-forget';
+        forget.textContent = 'Forget';
+        forget.setAttribute('aria-label', `Forget what "${word}" means to you`);
+        forget.addEventListener('click', () => {
+            const shifts = forgetWord(personalShifts, language, word);
+            savePersonalLexicon(shifts);
+            usePersonalShifts(shifts);
+            renderLearned();
+        });
+        item.appendChild(forget);
+
+        learnedList.appendChild(item);
+    });
+}
+
+learnedBtn.addEventListener('click', () => {
+    renderLearned();
+    learnedPanel.showModal();
+});
+learnedReset.addEventListener('click', () => {
+    clearPersonalLexicon();
+    usePersonalShifts({});
+    renderLearned();
 });
+learnedClose.addEventListener('click', () => learnedPanel.close());
+
+// ── Language picker ───────────────────────────────────────────
+// 'auto' lets the detector guess; the Auto option then names its guess.
+SUPPORTED_LANGUAGES.forEach(({ code, name }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    languageSelect.appendChild(option);
+});
+
+function updateLanguageUI(detected) {
+    const auto = languageSelect.querySelector('option[value="auto"]');
+    const name = SUPPORTED_LANGUAGES.find(l => l.code === detected)?.name;
+    auto.textContent = name ? `Auto · ${name}` : 'Auto-detect';
+}
 
 // ── Diary Mode: Auto-growing Textarea ─────────────────────────
 function autoGrow() {
@@ -373,6 +814,82 @@ function autoGrow() {
 
 textInput.addEventListener('input', autoGrow);
 
+// ── Live preview (optional) ───────────────────────────────────
+// While typing, a debounced detection shows a ghost label and nudges
+// the background glow; the particle burst still waits for submit.
+// Detection runs in a Worker so long diaries never stall the loop,
+// falling back to the main thread where module workers are missing
+// or the worker fails (its unanswered request is re-run there).
+const LIVE_DEBOUNCE = 300;   // ms after the last keystroke
+const LIVE_STORAGE_KEY = 'emotropy.livePreview';
+
+let liveWorker = null;
+let liveTimer = null;
+let liveRequest = 0;         // id of the newest request; older replies are dropped
+let liveAwaiting = 0;        // id of the request the worker has yet to answer
+let previewGlowColor = 'transparent';
+
+try {
+    liveWorker = new Worker(new URL('./utils/detectorWorker.js', import.meta.url), { type: 'module' });
+    liveWorker.addEventListener('message', ({ data }) => {
+        if (data.id === liveAwaiting) liveAwaiting = 0;
+        showPreview(data.id, data);
+    });
+    liveWorker.addEventListener('error', () => {
+        liveWorker.terminate();
+        liveWorker = null;
+        if (liveAwaiting && liveAwaiting === liveRequest) requestPreview();
+    });
+} catch {
+    liveWorker = null;
+}
+
+function requestPreview() {
+    const id = ++liveRequest;
+    const text = textInput.value.trim();
+    if (!text) { clearPreview(); return; }
+
+    if (liveWorker) {
+        liveAwaiting = id;
+        liveWorker.postMessage({ type: 'detect', id, text, language: languageSelect.value });
+    } else {
+        showPreview(id, detectEmotion(text, { language: languageSelect.value }));
+    }
+}
+
+function schedulePreview() {
+    clearTimeout(liveTimer);
+    if (!liveToggle.checked || uiLocked) return;
+    liveTimer = setTimeout(requestPreview, LIVE_DEBOUNCE);
+}
+
+function showPreview(id, { blend, total, confidence }) {
+    if (id !== liveRequest || !liveToggle.checked || uiLocked) return;
+    if (total === 0) { clearPreview(); return; }
+
+    const config = EMOTION_CONFIG[blend[0].emotion] ?? IDLE_CONFIG;
+    ghostLabel.textContent = blendLabel(blend);
+    ghostLabel.style.color = config.color;
+    ghostLabel.classList.add('visible');
+    previewGlowColor = scaleAlpha(config.bgGlow, 0.4 + 0.6 * confidence);
+}
+
+function clearPreview() {
+    clearTimeout(liveTimer);
+    liveRequest++;
+    ghostLabel.classList.remove('visible');
+    previewGlowColor = 'transparent';
+}
+
+liveToggle.checked = localStorage.getItem(LIVE_STORAGE_KEY) === 'on';
+liveToggle.addEventListener('change', () => {
+    localStorage.setItem(LIVE_STORAGE_KEY, liveToggle.checked ? 'on' : 'off');
+    if (liveToggle.checked) schedulePreview();
+    else clearPreview();
+});
+textInput.addEventListener('input', schedulePreview);
+languageSelect.addEventListener('change', schedulePreview);
+
 // Enter to submit (Shift+Enter for newline)
 textInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -386,81 +903,92 @@ function drawAttractors() {
     attractors.forEach(pt => {
         const lifeFrac = 1 - pt.age / ATTRACTOR_LIFE;
         const alpha = lifeFrac * 0.5;
-        const ringR = pt.radius * (0.1 + 0.06 * Math.sin(pt.age * 0.05));
-
-        ctx.save();
-        ctx.globalCompositeOperation = 'source-over';
+        const ringR = pt.radius * (0.1 + 0.06 * Math.sin(pt.age * 3));
 
         // Pulse ring
-        ctx.beginPath();
-        ctx.arc(pt.x, pt.y, ringR, 0, Math.PI * 2);
-        ctx.strokeStyle = pt.type === 'attract'
+        renderer.ring(pt.x, pt.y, ringR, pt.type === 'attract'
             ? `rgba(100,255,200,${alpha})`
-            : `rgba(255,100,80,${alpha})`;
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+            : `rgba(255,100,80,${alpha})`, 1.5);
 
         // Centre dot
-        ctx.beginPath();
-        ctx.arc(pt.x, pt.y, 3, 0, Math.PI * 2);
-        ctx.fillStyle = pt.type === 'attract'
+        renderer.disc(pt.x, pt.y, 3, pt.type === 'attract'
             ? `rgba(100,255,200,${alpha * 2})`
-            : `rgba(255,100,80,${alpha * 2})`;
-        ctx.fill();
-
-        ctx.restore();
+            : `rgba(255,100,80,${alpha * 2})`);
     });
 }
 
+// ── Fixed-timestep simulation ─────────────────────────────────
+// Physics always advances in steps of Particle.STEP (1/60 s): each
+// frame runs as many steps as real time has passed, and particles are
+// drawn interpolated between their last two steps. Motion, lifespans
+// and attractor lifetimes look the same on a 60Hz or 144Hz display.
+const STEP = Particle.STEP;
+const MAX_FRAME = 0.25;   // s; a longer gap (hidden or throttled tab) isn't caught up
+const FADE = 0.22;        // motion-blur fade per STEP
+const MIN_FADE = 0.12;    // per frame; fainter fills stop short of the background
+let unsimulated = 0;      // s of real time not yet stepped
+let lastFrame = null;
+
+function stepSimulation() {
+    applyNeighbours();
+    applyAttractors();
+    for (let i = 0; i < particles.length; i++) particles[i].update(canvas.width, canvas.height, simSpeed);
+
+    // --- Cull dead particles (back to the pool) ---
+    pool.compact();
+}
+
 // ── Main animation loop ────────────────────────────────────────
-function animate() {
+function animate(now) {
+    quality.frameStart(now);
+    const { glows } = quality.settings;
+    const elapsed = lastFrame === null ? STEP : Math.min((now - lastFrame) / 1000, MAX_FRAME);
+    lastFrame = now;
+
     // --- Motion blur via semi-transparent overlay ---
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.fillStyle = 'rgba(8, 8, 20, 0.22)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Compounded over the frame's duration, so trails fade at the same
+    // rate whatever the refresh rate. From 120Hz up the fill gets so
+    // faint that 8-bit blending rounds its last steps away and trails
+    // leave ghost pixels, so it never goes below MIN_FADE: trails there
+    // are a little shorter instead.
+    const fade = Math.max(MIN_FADE, 1 - (1 - FADE) ** (elapsed / STEP));
+    renderer.fill(`rgba(8, 8, 20, ${fade.toFixed(2)})`);
 
     // --- Background emotion glow (dual-colour blend) ---
     const cx = canvas.width / 2;
     const cy = canvas.height / 2;
-    const maxDim = Math.max(canvas.width, canvas.height);
-
-    const bg1 = ctx.createRadialGradient(cx, cy, 0, cx, cy, maxDim * 0.55);
-    bg1.addColorStop(0, bgGlowColor);
-    bg1.addColorStop(1, 'transparent');
-    ctx.fillStyle = bg1;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Secondary emotion colour (blend halo offset slightly)
-    if (bgGlowColor2 !== 'transparent') {
-        const bg2 = ctx.createRadialGradient(cx * 1.1, cy * 0.9, 0, cx * 1.1, cy * 0.9, maxDim * 0.4);
-        bg2.addColorStop(0, bgGlowColor2);
-        bg2.addColorStop(1, 'transparent');
-        ctx.fillStyle = bg2;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
+    const maxDim = Math.max(canvas.width, canvas.height) * glowReach;
 
-    // --- Apply physics forces ---
-    applyRepulsion();
-    applyAttractors();
+    renderer.glow(cx, cy, maxDim * 0.55, bgGlowColor);
 
-    // --- ADDITIVE GLOW COMPOSITING ---
-    // Particles drawn in 'lighter' mode add their colour channels together.
-    // Where many overlap, the result blooms toward white — a plasma/nebula effect.
-    ctx.globalCompositeOperation = 'lighter';
+    // Secondary emotion colour (blend halo offset slightly); the first
+    // glow to go when quality drops
+    if (glows > 2 && bgGlowColor2 !== 'transparent') {
+        renderer.glow(cx * 1.1, cy * 0.9, maxDim * 0.4, bgGlowColor2);
+    }
 
-    particles.forEach(p => {
-        p.update(canvas.width, canvas.height);
-        p.draw(ctx);
-    });
+    // Live preview glow, rising from the input area
+    if (glows > 1 && previewGlowColor !== 'transparent') {
+        renderer.glow(cx, canvas.height * 0.85, maxDim * 0.35, previewGlowColor);
+    }
 
-    // Reset composite mode before drawing UI overlays
-    ctx.globalCompositeOperation = 'source-over';
+    // --- Advance physics by the time that has passed ---
+    unsimulated += elapsed;
+    while (unsimulated >= STEP) {
+        stepSimulation();
+        unsimulated -= STEP;
+    }
+
+    // --- ADDITIVE GLOW COMPOSITING ---
+    // Particles are drawn additively ('lighter'): their colour channels add
+    // together, and where many overlap the result blooms toward white — a
+    // plasma/nebula effect.
+    renderer.particles(particles, quality.settings, unsimulated / STEP);
 
     // --- Draw attractor / repeller indicators ---
     drawAttractors();
 
-    // --- Cull dead particles ---
-    particles = particles.filter(p => p.alive);
+    renderer.flush();
 
     // --- Auto-unlock UI when particles are gone ---
     if (uiLocked && particles.length === 0) {
@@ -472,10 +1000,35 @@ function animate() {
         textInput.focus();
     }
 
+    // --- Adapt detail to how long frames are taking ---
+    if (quality.frameEnd(performance.now())) applyQuality();
+    updateStats(now);
+
     requestAnimationFrame(animate);
 }
 
+// ── Lexicon packs ─────────────────────────────────────────────
+// Bundled packs are opted into by URL: ?lexicon=workplace,teen-slang
+// loads lexicons/workplace.json then lexicons/teen-slang.json. Packs
+// that fail to load are named under the input, with their first error.
+async function loadRequestedPacks() {
+    const names = new URLSearchParams(window.location.search).get('lexicon');
+    if (!names) return;
+
+    const failed = [];
+    for (const name of names.split(',').map(n => n.trim()).filter(Boolean)) {
+        const url = `lexicons/${encodeURIComponent(name)}.json`;
+        liveWorker?.postMessage({ type: 'pack', url: new URL(url, window.location.href).href });
+        const report = await fetchLexiconPack(url);
+        if (!report.applied) failed.push(`${name} (${report.errors[0]})`);
+    }
+    packNote.textContent = failed.length > 0 ? `Lexicon not loaded: ${failed.join(' · ')}` : '';
+    packNote.hidden = failed.length === 0;
+}
+
 // ── Boot ──────────────────────────────────────────────────────
+usePersonalShifts(personalShifts);
+loadRequestedPacks();
 spawnParticles(IDLE_CONFIG);
 updateEmotionUI('idle', 0.5, [{ emotion: 'idle', weight: 1 }]);
-animate();
+requestAnimationFrame(animate);
@@ -0,0 +1,92 @@
+// =============================================================
+//  CanvasRenderer.js
+//  Canvas2D rendering backend — the original drawing path, kept as
+//  the fallback when WebGL is unavailable (or ?renderer=canvas).
+//
+//  Shares its interface with WebGLRenderer, so main.js draws each
+//  frame the same way whichever backend it got:
+//    fill(color)                   fade the previous frame (motion blur)
+//    glow(x, y, radius, color)     radial glow, colour → transparent
+//    particles(list, quality, blend)
+//                                  additive particles and their trails,
+//                                  thinned out by QualityController settings
+//                                  and interpolated `blend` of the way
+//                                  between physics steps
+//    ring / disc(x, y, r, color)   overlay shapes (attractor markers)
+//    flush()                       end of frame
+// =============================================================
+
+import { QUALITY_LEVELS } from './QualityController.js';
+
+export class CanvasRenderer {
+  // Each particle costs a radial gradient and up to ~18 trail arcs
+  // per frame; beyond this the frame rate drops.
+  static MAX_PARTICLES = 700;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.kind = 'canvas';
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.maxParticles = CanvasRenderer.MAX_PARTICLES;
+  }
+
+  // Resizing the canvas element clears it; nothing else to rebuild
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  fill(color) {
+    const { ctx, canvas } = this;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  glow(x, y, radius, color) {
+    const { ctx, canvas } = this;
+    const grad = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    grad.addColorStop(0, color);
+    grad.addColorStop(1, 'transparent');
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Draws particles with additive ('lighter') compositing: where many
+   * overlap, the colour blooms toward white.
+   * @param {import('./Particle.js').Particle[]} list
+   * @param {{trail:number, gradient:boolean}} [quality]
+   * @param {number} [blend] - 0–1, from each particle's previous step to its latest
+   */
+  particles(list, { trail, gradient } = QUALITY_LEVELS[0], blend = 1) {
+    const { ctx } = this;
+    ctx.globalCompositeOperation = 'lighter';
+    for (let i = 0; i < list.length; i++) list[i].draw(ctx, trail, gradient, blend);
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  ring(x, y, r, color, lineWidth = 1) {
+    const { ctx } = this;
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  }
+
+  disc(x, y, r, color) {
+    const { ctx } = this;
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+
+  // Canvas2D draws immediately
+  flush() {}
+}
@@ -2,62 +2,154 @@
 //  Particle.js
 //  Core particle entity used in the Emotropy simulation.
 //  Each particle carries its own physics state and render style.
+//  How it moves is data: the config's `forces` list, run through the
+//  primitives in forces.js every step.
+//
+//  Particles are recycled by ParticlePool: reset() re-initialises
+//  every field in place, and the trail lives in a fixed ring buffer,
+//  so a particle allocates nothing after it is first constructed.
+//
+//  Time: update() advances one fixed STEP of simulated time, however
+//  often the display refreshes (main.js runs as many steps as real
+//  time calls for). Ages and lifespans are in seconds; velocities,
+//  forces and friction are per step, so with the step fixed they are
+//  fixed rates in real time too.
 // =============================================================
 
+import { MULBERRY_STEP, mulberry32 } from '../utils/random.js';
+import { applyForces, compileForces } from './forces.js';
+
+const NO_FORCES = [];
+
 export class Particle {
+  // Trail dots: alpha and radius relative to the particle's own, scaled
+  // again by how recent the dot is. Shared with the WebGL renderer.
+  static TRAIL_ALPHA = 0.4;
+  static TRAIL_SIZE = 0.6;
+
+  // Longest trail any config can ask for; sizes every ring buffer
+  static MAX_TRAIL = 32;
+
+  // Seconds of simulated time per update()
+  static STEP = 1 / 60;
+
   /**
    * @param {number} x       - Initial x position (canvas coordinates)
    * @param {number} y       - Initial y position (canvas coordinates)
-   * @param {Object} config  - Emotion-derived configuration object
+   * @param {Object} [config] - Emotion-derived configuration object.
+   *                            Without one the particle starts dead,
+   *                            waiting in a pool for reset().
    *   config.color         {string}  - CSS colour (hex or rgba)
    *   config.glowColor     {string}  - Glow / shadow colour
    *   config.size          {number}  - Base radius in pixels
    *   config.speed         {number}  - Scalar applied to initial velocity
    *   config.friction      {number}  - Deceleration factor (0–1, lower = more drag)
-   *   config.behaviour     {string}  - One of: 'joy'|'anger'|'sadness'|'anxiety'
-   *   config.lifespan      {number}  - Max frames this particle lives for
+   *   config.behaviour     {string}  - An EMOTION_CONFIG key: 'joy'|'anger'|'sadness'|…
+   *   config.forces        {Object[]} - Movement, as force primitives (see forces.js)
+   *   config.lifespan      {number}  - Seconds this particle lives for
+   *   config.bodily        {number}  - Size pulse multiplier (default 1)
+   *   config.trail         {number}  - Trail length, up to MAX_TRAIL (default 8)
+   *   config.seed          {number}  - 32-bit seed of the particle's own random stream…
+   *   config.random        {Function} - …or a generator in place of Math.random
    */
-  constructor(x, y, config) {
+  constructor(x = 0, y = 0, config = null) {
+    // Trail ring buffer: x, y pairs; trailStart is the oldest entry
+    this.trailXY = new Float32Array(Particle.MAX_TRAIL * 2);
+    this.x = x;
+    this.y = y;
+    this.alive = false;
+    if (config) this.reset(x, y, config);
+  }
+
+  // ----------------------------------------------------------------
+  //  reset(x, y, config)
+  //  (Re)initialises the particle as if newly constructed. Sets every
+  //  field, so nothing carries over from its previous life.
+  // ----------------------------------------------------------------
+  reset(x, y, config) {
     this.x = x;
     this.y = y;
 
-    // ------- Velocity (pixels per frame) -------
+    // Every random draw goes through this, so a seed replays the animation.
+    // A seed is kept as bare mulberry32 state rather than a new closure.
+    this.seed = config.seed >>> 0;
+    this.random = config.random ?? (config.seed !== undefined ? this._seeded : Math.random);
+
+    // ------- Velocity (pixels per step) -------
     // Random direction, scaled by emotion speed
-    const angle = Math.random() * Math.PI * 2;
-    this.vx = Math.cos(angle) * config.speed * (0.5 + Math.random() * 0.5);
-    this.vy = Math.sin(angle) * config.speed * (0.5 + Math.random() * 0.5);
+    const angle = this.random() * Math.PI * 2;
+    this.vx = Math.cos(angle) * config.speed * (0.5 + this.random() * 0.5);
+    this.vy = Math.sin(angle) * config.speed * (0.5 + this.random() * 0.5);
 
-    // ------- Acceleration (applied each frame) -------
+    // Where the particle was born; nostalgia keeps returning here
+    this.homeX = x;
+    this.homeY = y;
+
+    // Position before the latest step; renderers interpolate from it
+    this.prevX = x;
+    this.prevY = y;
+
+    // ------- Acceleration (applied each step) -------
     this.ax = 0;
     this.ay = 0;
 
     // ------- Visual properties -------
     this.color = config.color;
     this.glowColor = config.glowColor ?? config.color;
-    this.size = config.size * (0.6 + Math.random() * 0.8);  // slight size variance
+    this.size = config.size * (0.6 + this.random() * 0.8);  // slight size variance
 
     // ------- Physics properties -------
-    this.friction = config.friction;   // velocity multiplied each frame
-    this.behaviour = config.behaviour;  // drives per-frame force logic
+    this.friction = config.friction;   // velocity multiplied each step
+    this.behaviour = config.behaviour;  // picks the neighbour rules (neighbourForces.js)
+    this.forces = compileForces(config.forces ?? NO_FORCES);  // how it moves (forces.js)
     this.speed = config.speed;
 
     // ------- Lifecycle -------
-    this.lifespan = config.lifespan ?? 200;
-    this.age = 0;
+    this.lifespan = config.lifespan ?? 3.3;   // seconds
+    this.age = 0;                             // seconds
     this.alive = true;
 
     // Bodily sensation multiplier (0.8–2.0): scales size pulse amplitude
     this.bodily = config.bodily ?? 1;
 
     // Trail buffer: stores last N positions for motion-blur / comet tail effect
-    this.trail = [];
-    this.maxTrail = config.trail ?? 8;
+    this.maxTrail = Math.min(config.trail ?? 8, Particle.MAX_TRAIL);
+    this.trailStart = 0;
+    this.trailLength = 0;
+    return this;
+  }
+
+  // Seeded draw: advances this particle's own mulberry32 state
+  _seeded() {
+    this.seed = (this.seed + MULBERRY_STEP) >>> 0;
+    return mulberry32(this.seed);
+  }
+
+  // ----------------------------------------------------------------
+  //  trailX(i) / trailY(i)
+  //  Trail position i, from 0 (oldest) to trailLength - 1 (newest).
+  // ----------------------------------------------------------------
+  trailX(i) {
+    return this.trailXY[((this.trailStart + i) % Particle.MAX_TRAIL) * 2];
+  }
+
+  trailY(i) {
+    return this.trailXY[((this.trailStart + i) % Particle.MAX_TRAIL) * 2 + 1];
+  }
+
+  // Appends the current position, overwriting the oldest once full
+  _recordTrail() {
+    const at = ((this.trailStart + this.trailLength) % Particle.MAX_TRAIL) * 2;
+    this.trailXY[at] = this.x;
+    this.trailXY[at + 1] = this.y;
+    if (this.trailLength < this.maxTrail) this.trailLength++;
+    else this.trailStart = (this.trailStart + 1) % Particle.MAX_TRAIL;
   }
 
   // ----------------------------------------------------------------
   //  applyForce(fx, fy)
   //  Accumulates an external force vector into acceleration.
-  //  Call this before update() each frame.
+  //  Call this before update() each step.
   // ----------------------------------------------------------------
   applyForce(fx, fy) {
     this.ax += fx;
@@ -65,17 +157,20 @@ export class Particle {
   }
 
   // ----------------------------------------------------------------
-  //  update(canvasW, canvasH)
-  //  Advances physics one frame: behaviour forces → velocity → position
+  //  update(canvasW, canvasH, pace)
+  //  Advances physics one STEP: behaviour forces → velocity → position
   //  Wraps particles at canvas edges; ages the particle toward death.
+  //  `pace` scales how far the velocity carries it this step (the
+  //  app's arousal drive); forces and lifespan are unchanged.
   // ----------------------------------------------------------------
-  update(canvasW, canvasH) {
+  update(canvasW, canvasH, pace = 1) {
     // --- Record trail position before moving ---
-    this.trail.push({ x: this.x, y: this.y });
-    if (this.trail.length > this.maxTrail) this.trail.shift();
+    this._recordTrail();
+    this.prevX = this.x;
+    this.prevY = this.y;
 
     // --- Per-emotion force injection ---
-    this._applyBehaviourForces(canvasW, canvasH);
+    applyForces(this, this.forces, canvasW, canvasH, Particle.STEP);
 
     // --- Integrate acceleration into velocity ---
     this.vx += this.ax;
@@ -86,277 +181,79 @@ export class Particle {
     this.vy *= this.friction;
 
     // --- Integrate velocity into position ---
-    this.x += this.vx;
-    this.y += this.vy;
+    this.x += this.vx * pace;
+    this.y += this.vy * pace;
 
-    // --- Reset acceleration (re-computed next frame) ---
+    // --- Reset acceleration (re-computed next step) ---
     this.ax = 0;
     this.ay = 0;
 
     // --- Edge wrapping: particles re-enter from opposite side ---
-    if (this.x < -this.size) this.x = canvasW + this.size;
-    if (this.x > canvasW + this.size) this.x = -this.size;
-    if (this.y < -this.size) this.y = canvasH + this.size;
-    if (this.y > canvasH + this.size) this.y = -this.size;
+    // A wrap is a jump, not motion, so it isn't interpolated across
+    // the canvas either.
+    if (this.x < -this.size) this.x = this.prevX = canvasW + this.size;
+    if (this.x > canvasW + this.size) this.x = this.prevX = -this.size;
+    if (this.y < -this.size) this.y = this.prevY = canvasH + this.size;
+    if (this.y > canvasH + this.size) this.y = this.prevY = -this.size;
 
     // --- Age and kill ---
-    this.age++;
+    this.age += Particle.STEP;
     if (this.age >= this.lifespan) this.alive = false;
   }
 
   // ----------------------------------------------------------------
-  //  _applyBehaviourForces(canvasW, canvasH)
-  //  Private. Injects emotion-specific physics each frame.
+  //  opacity / radius
+  //  Current alpha and drawn radius, read by every renderer.
   // ----------------------------------------------------------------
-  _applyBehaviourForces(canvasW, canvasH) {
-    const cx = canvasW / 2;  // canvas centre x
-    const cy = canvasH / 2;  // canvas centre y
-
-    switch (this.behaviour) {
-      // JOY — gentle outward radial push; particles drift away from centre
-      case 'joy': {
-        const dx = this.x - cx;
-        const dy = this.y - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        this.applyForce((dx / dist) * 0.08, (dy / dist) * 0.06);
-        break;
-      }
-
-      // ANGER — strong random explosive kicks; high chaotic energy
-      case 'anger': {
-        this.applyForce(
-          (Math.random() - 0.5) * 1.2,
-          (Math.random() - 0.5) * 1.2
-        );
-        // Mild repulsion from neighbours handled externally in main.js
-        break;
-      }
-
-      // SADNESS — gravity-like pull downward + slow inward drift toward centre
-      case 'sadness': {
-        // Downward gravity
-        this.applyForce(0, 0.12);
-        // Slight inward pull toward canvas centre
-        const dx = cx - this.x;
-        const dy = cy - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        this.applyForce((dx / dist) * 0.04, (dy / dist) * 0.04);
-        break;
-      }
-
-      // ANXIETY — fast random jitter; oscillation via sine waves
-      case 'anxiety': {
-        const jitterStrength = 0.8;
-        this.applyForce(
-          (Math.random() - 0.5) * jitterStrength,
-          (Math.random() - 0.5) * jitterStrength
-        );
-        // Oscillation using particle age as phase
-        this.applyForce(
-          Math.sin(this.age * 0.4) * 0.5,
-          Math.cos(this.age * 0.3) * 0.5
-        );
-        break;
-      }
-
-      // FEAR — freeze-flight alternation
-      // Every ~30 frames the particle "freezes" (strong deceleration),
-      // then suddenly flees in a random direction (burst of force).
-      case 'fear': {
-        const cycle = Math.floor(this.age / 30) % 2; // 0=freeze, 1=burst
-        if (cycle === 0) {
-          // Freeze: apply counter-force proportional to current velocity
-          this.applyForce(-this.vx * 0.25, -this.vy * 0.25);
-        } else {
-          // Flight: random directional burst
-          const angle = Math.random() * Math.PI * 2;
-          this.applyForce(Math.cos(angle) * 0.9, Math.sin(angle) * 0.9);
-        }
-        // Subtle trembling overlay
-        this.applyForce(
-          (Math.random() - 0.5) * 0.3,
-          (Math.random() - 0.5) * 0.3
-        );
-        break;
-      }
-
-      // CALM — near-zero additional force; particles drift gently on
-      // their initial velocity and high friction does the rest.
-      // A very faint centering pull prevents them leaving the canvas.
-      case 'calm': {
-        const dx = cx - this.x;
-        const dy = cy - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        // Ultra-soft pull toward centre (< 0.01 force)
-        this.applyForce((dx / dist) * 0.008, (dy / dist) * 0.008);
-        break;
-      }
-
-      // CURIOSITY — tangential (perpendicular) force around canvas centre
-      // creates a clockwise swirling orbit effect.
-      case 'curiosity': {
-        const dx = this.x - cx;
-        const dy = this.y - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        // Tangential direction: rotate radial vector 90° clockwise
-        const tx = dy / dist;
-        const ty = -dx / dist;
-        this.applyForce(tx * 0.18, ty * 0.18);
-        // Soft radial pull to keep them in orbit
-        this.applyForce((-dx / dist) * 0.04, (-dy / dist) * 0.04);
-        break;
-      }
-
-      // GRATITUDE — slow radial expansion like an opening halo.
-      // Sinusoidal size pulse creates a shimmer when drawn.
-      case 'gratitude': {
-        const dx = this.x - cx;
-        const dy = this.y - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        // Gentle outward push
-        this.applyForce((dx / dist) * 0.06, (dy / dist) * 0.05);
-        // Soft upward drift (lightness)
-        this.applyForce(0, -0.02);
-        break;
-      }
-
-      // SHAME — strong inward pull + rotational curl
-      case 'shame': {
-        const dx = cx - this.x;
-        const dy = cy - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        this.applyForce((dx / dist) * 0.14, (dy / dist) * 0.12);
-        const tx = -dy / dist;
-        const ty = dx / dist;
-        this.applyForce(tx * 0.08, ty * 0.08);
-        break;
-      }
-
-      // COURAGE — upward arc launched from centre, expands then arcs back
-      // Like a firework: fast climb, then graceful falloff.
-      case 'courage': {
-        // Strong upward bias in early life, tapering off
-        const upwardBias = Math.max(0, 1 - this.age / 80);
-        this.applyForce(0, -0.2 * upwardBias);
-        // Gentle outward radial drift
-        const dx = this.x - cx;
-        const dy = this.y - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        this.applyForce((dx / dist) * 0.04, (dy / dist) * 0.03);
-        break;
-      }
-
-      // HOPEFUL — gentle upward float with soft side-to-side wavering
-      // Particles rise slowly like embers or bubbles.
-      case 'hopeful': {
-        // Soft upward lift
-        this.applyForce(0, -0.06);
-        // Gentle horizontal sway using sine of age
-        this.applyForce(Math.sin(this.age * 0.05) * 0.08, 0);
-        break;
-      }
-
-      // DISCONNECTED — slow inward drift; nearly no force, particle barely moves
-      // High friction in config handles the rest. Early fade via alpha scaling.
-      case 'disconnected': {
-        const dx = cx - this.x;
-        const dy = cy - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        // Very weak inward pull — detached, drifting nowhere
-        this.applyForce((dx / dist) * 0.015, (dy / dist) * 0.015);
-        // Accelerate fade: make particle feel like it's disappearing early
-        if (this.age > this.lifespan * 0.4) {
-          this.applyForce(0, 0.02); // slow sink in later life
-        }
-        break;
-      }
-
-      // STRESS — rapid chaotic bursts that change direction every few frames
-      // Higher-frequency jitter than anxiety; burns out faster.
-      case 'stress': {
-        // Change direction forcefully every ~12 frames
-        if (this.age % 12 === 0) {
-          const angle = Math.random() * Math.PI * 2;
-          this.applyForce(Math.cos(angle) * 1.4, Math.sin(angle) * 1.4);
-        }
-        // Constant low-level jitter between bursts
-        this.applyForce(
-          (Math.random() - 0.5) * 0.5,
-          (Math.random() - 0.5) * 0.5
-        );
-        break;
-      }
+  get opacity() {
+    // Fade out as particle approaches end of lifespan: 1 = fresh, 0 = dying
+    return Math.max(0, 1 - this.age / this.lifespan);
+  }
 
-      // POWERLESS — heavy downward pull, stronger than sadness.
-      // Particles sink quickly and don't bounce back.
-      case 'powerless': {
-        // Strong gravity
-        this.applyForce(0, 0.2);
-        // Slight inward drag (collapsing inward)
-        const dx = cx - this.x;
-        const dy = cy - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        this.applyForce((dx / dist) * 0.02, (dy / dist) * 0.02);
-        break;
-      }
+  get radius() {
+    // Size pulse: bodily multiplier amplifies the pulsing
+    return this.size * (1 + 0.15 * this.bodily * Math.sin(this.age * 12));
+  }
 
-      // UNSETTLED — slow, uncertain jitter with occasional direction changes.
-      // Lower energy than anxiety; more doubtful/hesitant feel.
-      case 'unsettled': {
-        // Slow jitter
-        this.applyForce(
-          (Math.random() - 0.5) * 0.35,
-          (Math.random() - 0.5) * 0.35
-        );
-        // Occasional stronger lurch every ~25 frames
-        if (this.age % 25 === 0) {
-          this.applyForce(
-            (Math.random() - 0.5) * 1.2,
-            (Math.random() - 0.5) * 1.2
-          );
-        }
-        break;
-      }
+  // ----------------------------------------------------------------
+  //  renderX(blend) / renderY(blend)
+  //  Where to draw the particle when the frame falls `blend` (0–1) of
+  //  the way from its previous step to its latest one.
+  // ----------------------------------------------------------------
+  renderX(blend) {
+    return this.prevX + (this.x - this.prevX) * blend;
+  }
 
-      // TENDER — warm outward halo drift with slow pulsing orbit.
-      // Smooth, gentle, loving — particles expand softly like a hug.
-      case 'tender': {
-        const dx = this.x - cx;
-        const dy = this.y - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-        // Very slow outward radial drift
-        this.applyForce((dx / dist) * 0.03, (dy / dist) * 0.025);
-        // Soft clockwise tangential orbit (slower than curiosity)
-        const tx = dy / dist;
-        const ty = -dx / dist;
-        this.applyForce(tx * 0.05, ty * 0.045);
-        break;
-      }
-    }
+  renderY(blend) {
+    return this.prevY + (this.y - this.prevY) * blend;
   }
 
   // ----------------------------------------------------------------
-  //  draw(ctx)
+  //  draw(ctx, trail = 1, gradient = true, blend = 1)
   //  Renders the particle (and its trail) onto the 2D canvas context.
+  //  The WebGL renderer draws the same shapes from the same state.
+  //  Quality settings (see QualityController) thin it out: `trail` is
+  //  the fraction of the trail drawn, newest first, and without
+  //  `gradient` the core is one flat colour. `blend` interpolates the
+  //  core between physics steps (see renderX).
   // ----------------------------------------------------------------
-  draw(ctx) {
-    // --- Fade out as particle approaches end of lifespan ---
-    const lifeFraction = 1 - this.age / this.lifespan;  // 1 = fresh, 0 = dying
-    const alpha = Math.max(0, lifeFraction);
-
-    // --- Size pulse: bodily multiplier amplifies the pulsing ---
-    const pulse = 1 + 0.15 * this.bodily * Math.sin(this.age * 0.2);
-    const radius = this.size * pulse;
+  draw(ctx, trail = 1, gradient = true, blend = 1) {
+    const alpha = this.opacity;
+    const radius = this.radius;
+    const x = this.renderX(blend);
+    const y = this.renderY(blend);
 
     // === Draw comet trail ===
-    if (this.trail.length > 1) {
-      for (let i = 0; i < this.trail.length - 1; i++) {
-        const t = i / this.trail.length;          // 0 (oldest) → 1 (newest)
-        const trailAlpha = t * alpha * 0.4;       // fade older trail segments
-        const trailRadius = radius * t * 0.6;
+    const trailLength = this.trailLength;
+    if (trailLength > 1) {
+      const first = trailLength - 1 - Math.round((trailLength - 1) * trail);
+      for (let i = first; i < trailLength - 1; i++) {
+        const t = i / trailLength;                            // 0 (oldest) → 1 (newest)
+        const trailAlpha = t * alpha * Particle.TRAIL_ALPHA;  // fade older trail segments
+        const trailRadius = radius * t * Particle.TRAIL_SIZE;
 
         ctx.beginPath();
-        ctx.arc(this.trail[i].x, this.trail[i].y, Math.max(0.5, trailRadius), 0, Math.PI * 2);
+        ctx.arc(this.trailX(i), this.trailY(i), Math.max(0.5, trailRadius), 0, Math.PI * 2);
         ctx.fillStyle = this._alphaColor(this.color, trailAlpha);
         ctx.fill();
       }
@@ -368,12 +265,18 @@ export class Particle {
 
     // === Draw core particle circle ===
     ctx.beginPath();
-    ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+
+    if (!gradient) {
+      ctx.fillStyle = this._alphaColor(this.color, alpha.toFixed(2));
+      ctx.fill();
+      return;
+    }
 
     // Radial gradient for a "lit" look
     const grad = ctx.createRadialGradient(
-      this.x, this.y, 0,
-      this.x, this.y, radius
+      x, y, 0,
+      x, y, radius
     );
 
     const alphaStr = alpha.toFixed(2);
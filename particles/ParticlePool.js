@@ -0,0 +1,84 @@
+// =============================================================
+//  ParticlePool.js
+//  Reusable particle store. Dead particles go back on a free list
+//  and are reset() in place for the next burst, so a steady stream
+//  of spawns allocates nothing once the pool has warmed up.
+//
+//  `live` is the list the simulation iterates: oldest first, kept
+//  in spawn order. compact() drops the dead from it in place once
+//  a step, instead of filtering into a new array.
+// =============================================================
+
+import { Particle } from './Particle.js';
+
+export class ParticlePool {
+  /**
+   * @param {number} capacity    - Most particles alive at once
+   * @param {number} [prewarm]   - Particles to allocate up front
+   */
+  constructor(capacity, prewarm = 0) {
+    this.capacity = capacity;
+    /** @type {Particle[]} */
+    this.live = [];
+    /** @type {Particle[]} */
+    this.free = [];
+    for (let i = 0; i < Math.min(prewarm, capacity); i++) this.free.push(new Particle());
+  }
+
+  get size() {
+    return this.live.length;
+  }
+
+  // ----------------------------------------------------------------
+  //  spawn(x, y, config)
+  //  Takes a free particle (or makes one), resets it from `config`
+  //  and adds it to the live list. The config is only read, never
+  //  kept, so callers can reuse one object for every spawn. Returns
+  //  null when the pool is full — see makeRoom().
+  // ----------------------------------------------------------------
+  spawn(x, y, config) {
+    if (this.live.length >= this.capacity) return null;
+    const p = this.free.length > 0 ? this.free.pop() : new Particle();
+    p.reset(x, y, config);
+    this.live.push(p);
+    return p;
+  }
+
+  // ----------------------------------------------------------------
+  //  makeRoom(count)
+  //  Retires the oldest particles so `count` more fit under the
+  //  capacity.
+  // ----------------------------------------------------------------
+  makeRoom(count) {
+    const excess = this.live.length + count - this.capacity;
+    if (excess <= 0) return;
+    const n = Math.min(excess, this.live.length);
+    for (let i = 0; i < n; i++) this.live[i].alive = false;
+    this.compact();
+  }
+
+  // ----------------------------------------------------------------
+  //  compact()
+  //  Moves dead particles to the free list, keeping the survivors
+  //  in order. Call once per step after update().
+  // ----------------------------------------------------------------
+  compact() {
+    const { live, free } = this;
+    let kept = 0;
+    for (let i = 0; i < live.length; i++) {
+      const p = live[i];
+      if (p.alive) live[kept++] = p;
+      else free.push(p);
+    }
+    live.length = kept;
+  }
+
+  // Retires every live particle
+  clear() {
+    for (const p of this.live) {
+      p.alive = false;
+      this.free.push(p);
+    }
+    this.live.length = 0;
+  }
+}
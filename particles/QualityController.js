@@ -0,0 +1,118 @@
+// =============================================================
+//  QualityController.js
+//  Keeps the animation smooth by trading detail for frame time.
+//  Each frame it is told when the frame started and when its work
+//  finished; it smooths both, steps quality down one level while
+//  frames run long because the work fills them, and steps back up
+//  after a stretch with headroom.
+//
+//  Long frames alone don't count: a 30 or 48 Hz display, or a browser
+//  throttling requestAnimationFrame to save battery, spaces frames
+//  out however little each one does. Only work time says whether
+//  dropping detail would help.
+//
+//  Levels, from full detail down:
+//    trail     fraction of each trail drawn (the faint oldest end goes first)
+//    gradient  radial-gradient particle fill, else one flat colour
+//    cap       fraction of the renderer's particle cap
+//    glows     background glows drawn: the emotion glow, then the
+//              live-preview glow, then the secondary blend halo
+// =============================================================
+
+export const QUALITY_LEVELS = [
+  { name: 'high',    trail: 1,    gradient: true,  cap: 1,    glows: 3 },
+  { name: 'medium',  trail: 0.5,  gradient: true,  cap: 0.75, glows: 3 },
+  { name: 'low',     trail: 0.5,  gradient: false, cap: 0.5,  glows: 2 },
+  { name: 'minimal', trail: 0,    gradient: false, cap: 0.3,  glows: 1 }
+];
+
+// ── Timing thresholds (ms) ───────────────────────────────────
+const SLOW_FRAME = 1000 / 50;   // smoothed frame interval above this…
+const WORK_BUDGET = 1000 / 60;  // …with work time above this: step down
+const IDLE_WORK = 1000 / 120;   // work time that leaves room for more detail
+const STALL = 250;              // longer gaps (hidden tab, debugger) are ignored
+const SMOOTHING = 0.1;          // EMA weight of the newest frame
+
+// ── Frame counts ─────────────────────────────────────────────
+const SETTLE = 30;              // after any change, let the averages catch up
+const RECOVER = 120;            // frames of headroom before stepping up…
+const MAX_RECOVER = 1200;       // …doubling, up to this, each time a step up
+                                // is undone within this many frames
+
+export class QualityController {
+  /**
+   * @param {Object[]} [levels] - Quality levels, highest first
+   */
+  constructor(levels = QUALITY_LEVELS) {
+    this.levels = levels;
+    this.level = 0;
+    this.frameMs = 1000 / 60;   // smoothed interval between frames
+    this.workMs = 0;            // smoothed time spent inside a frame
+    this.lastStart = 0;
+    this.settle = SETTLE;
+    this.headroom = 0;
+    this.recover = RECOVER;
+    this.sinceUp = Infinity;
+  }
+
+  /** The active level's settings. */
+  get settings() {
+    return this.levels[this.level];
+  }
+
+  get fps() {
+    return 1000 / this.frameMs;
+  }
+
+  // ----------------------------------------------------------------
+  //  frameStart(now)
+  //  Call first thing in each frame with the requestAnimationFrame
+  //  timestamp.
+  // ----------------------------------------------------------------
+  frameStart(now) {
+    const interval = now - this.lastStart;
+    if (this.lastStart > 0 && interval > 0 && interval < STALL) {
+      this.frameMs += (interval - this.frameMs) * SMOOTHING;
+    }
+    this.lastStart = now;
+  }
+
+  // ----------------------------------------------------------------
+  //  frameEnd(now)
+  //  Call once the frame's work is done, with performance.now().
+  //  Returns true when the level changed.
+  // ----------------------------------------------------------------
+  frameEnd(now) {
+    this.workMs += (now - this.lastStart - this.workMs) * SMOOTHING;
+    this.sinceUp++;
+
+    if (this.settle > 0) {
+      this.settle--;
+      return false;
+    }
+
+    const slow = this.frameMs > SLOW_FRAME && this.workMs > WORK_BUDGET;
+    if (slow && this.level < this.levels.length - 1) {
+      // Falling straight back means the level above doesn't fit: wait
+      // longer before the next try, so quality doesn't flicker
+      this.recover = this.sinceUp < MAX_RECOVER ? Math.min(this.recover * 2, MAX_RECOVER) : RECOVER;
+      return this._step(1);
+    }
+
+    if (this.workMs < IDLE_WORK) this.headroom++;
+    else this.headroom = 0;
+
+    if (this.headroom >= this.recover && this.level > 0) {
+      this.sinceUp = 0;
+      return this._step(-1);
+    }
+    return false;
+  }
+
+  _step(delta) {
+    this.level += delta;
+    this.settle = SETTLE;
+    this.headroom = 0;
+    return true;
+  }
+}
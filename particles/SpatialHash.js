@@ -0,0 +1,117 @@
+// =============================================================
+//  SpatialHash.js
+//  Uniform-grid spatial index over the particles, rebuilt every
+//  physics step. Finding a particle's neighbours only looks at the cells
+//  around it, so neighbour forces cost near-linear time instead of
+//  comparing every pair.
+//
+//  The grid is a counting sort: particle indices are ordered by cell
+//  in one typed array, with each cell's end offset in another. Both
+//  are reused step to step and only grow.
+//
+//  Cells are kept small next to the query radius and searched in
+//  rings outward from the particle's own cell, so a capped query in
+//  a crowd is answered from the nearest few cells.
+// =============================================================
+
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell side in pixels
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cols = 1;
+    this.rows = 1;
+    this.items = [];
+    this.cellEnd = new Int32Array(1);   // order[] index one past each cell's last item
+    this.order = new Int32Array(0);     // item indices, grouped by cell
+    this.cellOf = new Int32Array(0);    // cell of each item
+  }
+
+  // ----------------------------------------------------------------
+  //  rebuild(items, width, height)
+  //  Indexes every item by position. Items past the edges (particles
+  //  wrap with a small margin) fall into the border cells.
+  // ----------------------------------------------------------------
+  rebuild(items, width, height) {
+    this.items = items;
+    this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+    const cells = this.cols * this.rows;
+    if (this.cellEnd.length < cells) this.cellEnd = new Int32Array(cells);
+    if (this.order.length < items.length) {
+      this.order = new Int32Array(items.length * 2);
+      this.cellOf = new Int32Array(items.length * 2);
+    }
+    const { cellEnd, order, cellOf } = this;
+
+    // Count items per cell…
+    cellEnd.fill(0, 0, cells);
+    for (let i = 0; i < items.length; i++) {
+      const c = this._cell(items[i].x, items[i].y);
+      cellOf[i] = c;
+      cellEnd[c]++;
+    }
+    // …turn counts into start offsets…
+    let start = 0;
+    for (let c = 0; c < cells; c++) {
+      const count = cellEnd[c];
+      cellEnd[c] = start;
+      start += count;
+    }
+    // …and place each item, advancing its cell's offset to the cell's end
+    for (let i = 0; i < items.length; i++) {
+      order[cellEnd[cellOf[i]]++] = i;
+    }
+  }
+
+  // ----------------------------------------------------------------
+  //  near(item, radius, out, accept)
+  //  Fills `out` with up to out.length items within `radius` of
+  //  `item` (itself excluded), optionally only those accept(other,
+  //  item) keeps. Stops once `out` is full, so a dense clump costs
+  //  no more than a sparse one. Returns how many were found.
+  // ----------------------------------------------------------------
+  near(item, radius, out, accept = null) {
+    const { cellSize, cols, rows, items, cellEnd, order } = this;
+    const rSq = radius * radius;
+    const home = this._cell(item.x, item.y);
+    const hx = home % cols;
+    const hy = (home - hx) / cols;
+    const rings = Math.ceil(radius / cellSize);
+
+    let found = 0;
+    for (let ring = 0; ring <= rings; ring++) {
+      const y0 = Math.max(0, hy - ring), y1 = Math.min(rows - 1, hy + ring);
+      const x0 = Math.max(0, hx - ring), x1 = Math.min(cols - 1, hx + ring);
+      for (let cy = y0; cy <= y1; cy++) {
+        // Inner rows of the ring: only its left and right cells
+        const edgeRow = cy === hy - ring || cy === hy + ring;
+        const step = edgeRow || ring === 0 ? 1 : 2 * ring;
+        for (let cx = edgeRow ? x0 : hx - ring; cx <= x1; cx += step) {
+          if (cx < x0) continue;
+          const c = cy * cols + cx;
+          for (let k = c > 0 ? cellEnd[c - 1] : 0; k < cellEnd[c]; k++) {
+            const other = items[order[k]];
+            if (other === item) continue;
+            const dx = other.x - item.x;
+            const dy = other.y - item.y;
+            if (dx * dx + dy * dy > rSq) continue;
+            if (accept && !accept(other, item)) continue;
+            out[found++] = other;
+            if (found === out.length) return found;
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  // Cell index of a point, clamped onto the grid
+  _cell(x, y) {
+    const cx = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    const cy = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    return cy * this.cols + cx;
+  }
+}
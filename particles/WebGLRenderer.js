@@ -0,0 +1,376 @@
+// =============================================================
+//  WebGLRenderer.js
+//  WebGL rendering backend. Every shape — particle cores, trail
+//  dots, background glows, the motion-blur fade and the attractor
+//  markers — is one instance of a single quad, shaded by its kind.
+//  A frame is one buffer upload and one instanced draw per change
+//  of blend mode, so tens of thousands of particles fit in a frame.
+//
+//  Output matches CanvasRenderer (same interface, see there):
+//    • the sprite shader reproduces Particle.draw's radial gradient
+//      (alpha 1 → 0.8 at 60% of the radius → 0 at the edge)
+//    • 'lighter' is additive blending, 'source-over' alpha blending
+//    • the drawing buffer is preserved between frames, so the fade
+//      overlay leaves the same motion blur
+//    • the canvas stays premultiplied, like a 2D canvas, and
+//      composites over the page the same way
+// =============================================================
+
+import { Particle } from './Particle.js';
+import { QUALITY_LEVELS } from './QualityController.js';
+
+// ── Shapes (a_shape.x) ───────────────────────────────────────
+const DISC = 0;     // solid circle, anti-aliased edge (trail dots)
+const SPRITE = 1;   // soft particle core
+const RING = 2;     // stroked circle, a_shape.y = line width
+const GLOW = 3;     // radial glow, colour → transparent
+const FILL = 4;     // the whole quad
+
+// ── Blend modes ──────────────────────────────────────────────
+const OVER = 0;      // 'source-over'
+const LIGHTER = 1;   // 'lighter'
+
+// Floats per instance: x, y, radius | r, g, b, a | shape, line width
+const STRIDE = 9;
+const INITIAL_INSTANCES = 4096;
+
+const VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec3 a_circle;
+attribute vec4 a_color;
+attribute vec2 a_shape;
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+varying vec4 v_color;
+varying float v_shape;
+varying float v_radius;
+varying float v_line;
+
+void main() {
+  float radius = max(a_circle.z, 0.0001);
+  // Hard-edged shapes get room for their anti-aliased edge
+  float margin = a_shape.x < 0.5 ? 1.0 : (a_shape.x > 1.5 && a_shape.x < 2.5 ? a_shape.y * 0.5 + 1.0 : 0.0);
+  float extent = radius + margin;
+  vec2 clip = (a_circle.xy + a_corner * extent) / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = a_corner * extent / radius;
+  v_color = a_color;
+  v_shape = a_shape.x;
+  v_radius = radius;
+  v_line = a_shape.y;
+}`;
+
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 v_uv;
+varying vec4 v_color;
+varying float v_shape;
+varying float v_radius;
+varying float v_line;
+
+void main() {
+  float d = length(v_uv);   // 1.0 at the radius
+  float px = d * v_radius;  // distance from the centre in pixels
+  float a;
+  if (v_shape < 0.5) {
+    a = clamp(v_radius - px + 0.5, 0.0, 1.0);
+  } else if (v_shape < 1.5) {
+    a = d < 0.6 ? mix(1.0, 0.8, d / 0.6) : mix(0.8, 0.0, clamp((d - 0.6) / 0.4, 0.0, 1.0));
+  } else if (v_shape < 2.5) {
+    a = clamp(v_line * 0.5 - abs(px - v_radius) + 0.5, 0.0, 1.0);
+  } else if (v_shape < 3.5) {
+    a = max(0.0, 1.0 - d);
+  } else {
+    a = 1.0;
+  }
+  gl_FragColor = vec4(v_color.rgb, v_color.a * a);
+}`;
+
+// ── Colours ──────────────────────────────────────────────────
+// CSS colour → [r, g, b, a] in 0–1. Handles the forms the simulation
+// uses: #rgb, #rrggbb, rgb(), rgba() and 'transparent'.
+const colorCache = new Map();
+
+function parseColor(css) {
+  let rgba = colorCache.get(css);
+  if (rgba) return rgba;
+
+  rgba = [0, 0, 0, 0];
+  if (css.startsWith('#')) {
+    let hex = css.slice(1);
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    rgba = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255).concat(1);
+  } else {
+    const match = css.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+      const [r, g, b, a = 1] = match[1].split(',').map(Number);
+      rgba = [r / 255, g / 255, b / 255, a];
+    }
+  }
+
+  // Attractor colours change alpha every frame; keep the cache small
+  if (colorCache.size > 1000) colorCache.clear();
+  colorCache.set(css, rgba);
+  return rgba;
+}
+
+// ── Context setup ────────────────────────────────────────────
+const CONTEXT_OPTIONS = { preserveDrawingBuffer: true, premultipliedAlpha: true, antialias: false };
+
+function getContext(canvas) {
+  return canvas.getContext('webgl2', CONTEXT_OPTIONS) ?? canvas.getContext('webgl', CONTEXT_OPTIONS);
+}
+
+// Instanced drawing: built into WebGL2, an extension in WebGL1
+function instancingFor(gl) {
+  if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+    return {
+      divisor: (loc, n) => gl.vertexAttribDivisor(loc, n),
+      draw: count => gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count)
+    };
+  }
+  const ext = gl.getExtension('ANGLE_instanced_arrays');
+  if (!ext) return null;
+  return {
+    divisor: (loc, n) => ext.vertexAttribDivisorANGLE(loc, n),
+    draw: count => ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, count)
+  };
+}
+
+function compile(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return shader;
+  gl.deleteShader(shader);
+  return null;
+}
+
+// The particle program, or null if this GPU will not build it (the
+// app then falls back to Canvas; ?stats shows which renderer runs)
+function linkProgram(gl) {
+  const vertex = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragment = compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+  if (!vertex || !fragment) return null;
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  // Some WebGL1 drivers need attribute 0 to be a per-vertex array
+  gl.bindAttribLocation(program, 0, 'a_corner');
+  gl.linkProgram(program);
+  if (gl.getProgramParameter(program, gl.LINK_STATUS)) return program;
+  return null;
+}
+
+export class WebGLRenderer {
+  // The ceiling on fast hardware; QualityController lowers the live
+  // cap (down to 30%) wherever frames can't keep up with it
+  static MAX_PARTICLES = 50000;
+
+  // Probed once, on a scratch canvas: a canvas that has handed out a
+  // WebGL context can never give a 2D one, so the real canvas is only
+  // touched once WebGL is known to work.
+  static _supported;
+
+  /** True when this browser has WebGL with instancing and builds the shaders. */
+  static isSupported() {
+    if (WebGLRenderer._supported === undefined) {
+      const gl = getContext(document.createElement('canvas'));
+      WebGLRenderer._supported = Boolean(gl && instancingFor(gl) && linkProgram(gl));
+      gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    }
+    return WebGLRenderer._supported;
+  }
+
+  /**
+   * A WebGL renderer for the canvas, or null when WebGL is unavailable
+   * (the canvas is then left untouched for CanvasRenderer).
+   * @param {HTMLCanvasElement} canvas
+   * @returns {WebGLRenderer|null}
+   */
+  static create(canvas) {
+    return WebGLRenderer.isSupported() ? new WebGLRenderer(canvas) : null;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.kind = 'webgl';
+    this.canvas = canvas;
+    this.maxParticles = WebGLRenderer.MAX_PARTICLES;
+
+    // Instance data for the frame being built, drawn in batches of
+    // consecutive instances that share a blend mode
+    this.data = new Float32Array(INITIAL_INSTANCES * STRIDE);
+    this.count = 0;
+    this.batches = [];
+
+    this.gl = getContext(canvas);
+    this.lost = false;
+    this._setup();
+
+    // A lost context (GPU reset, driver update) is rebuilt on restore;
+    // until then frames are skipped and the simulation runs on
+    canvas.addEventListener('webglcontextlost', e => {
+      e.preventDefault();
+      this.lost = true;
+    });
+    canvas.addEventListener('webglcontextrestored', () => {
+      this._setup();
+      this.lost = false;
+    });
+  }
+
+  // ----------------------------------------------------------------
+  //  _setup()
+  //  Private. Builds the program and buffers (again, after a restore).
+  // ----------------------------------------------------------------
+  _setup() {
+    const gl = this.gl;
+    this.instancing = instancingFor(gl);
+    this.program = linkProgram(gl);
+    gl.useProgram(this.program);
+
+    const attrib = name => gl.getAttribLocation(this.program, name);
+    this.loc = {
+      corner: attrib('a_corner'),
+      circle: attrib('a_circle'),
+      color: attrib('a_color'),
+      shape: attrib('a_shape'),
+      resolution: gl.getUniformLocation(this.program, 'u_resolution')
+    };
+
+    // The shared quad, corners at ±1
+    this.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(this.loc.corner);
+    gl.vertexAttribPointer(this.loc.corner, 2, gl.FLOAT, false, 0, 0);
+    this.instancing.divisor(this.loc.corner, 0);
+
+    this.instances = gl.createBuffer();
+    [this.loc.circle, this.loc.color, this.loc.shape].forEach(loc => {
+      gl.enableVertexAttribArray(loc);
+      this.instancing.divisor(loc, 1);
+    });
+
+    gl.enable(gl.BLEND);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  // Resizing the canvas element clears the drawing buffer
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  fill(color) {
+    const { width, height } = this.canvas;
+    const [r, g, b, a] = parseColor(color);
+    this._push(OVER, width / 2, height / 2, Math.max(width, height), r, g, b, a, FILL, 0);
+  }
+
+  glow(x, y, radius, color) {
+    const [r, g, b, a] = parseColor(color);
+    this._push(OVER, x, y, radius, r, g, b, a, GLOW, 0);
+  }
+
+  /**
+   * Queues particles and their trails with additive blending, exactly
+   * as Particle.draw lays them out.
+   * @param {Particle[]} list
+   * @param {{trail:number, gradient:boolean}} [quality]
+   * @param {number} [blend] - 0–1, from each particle's previous step to its latest
+   */
+  particles(list, { trail, gradient } = QUALITY_LEVELS[0], blend = 1) {
+    const core = gradient ? SPRITE : DISC;
+    for (const p of list) {
+      const [r, g, b] = parseColor(p.color);
+      const alpha = p.opacity;
+      const radius = p.radius;
+
+      const trailLength = p.trailLength;
+      const first = trailLength - 1 - Math.round((trailLength - 1) * trail);
+      for (let i = first; i < trailLength - 1; i++) {
+        const t = i / trailLength;
+        this._push(LIGHTER, p.trailX(i), p.trailY(i), Math.max(0.5, radius * t * Particle.TRAIL_SIZE),
+          r, g, b, t * alpha * Particle.TRAIL_ALPHA, DISC, 0);
+      }
+      this._push(LIGHTER, p.renderX(blend), p.renderY(blend), radius, r, g, b, alpha, core, 0);
+    }
+  }
+
+  ring(x, y, r, color, lineWidth = 1) {
+    const [cr, cg, cb, ca] = parseColor(color);
+    this._push(OVER, x, y, r, cr, cg, cb, ca, RING, lineWidth);
+  }
+
+  disc(x, y, r, color) {
+    const [cr, cg, cb, ca] = parseColor(color);
+    this._push(OVER, x, y, r, cr, cg, cb, ca, DISC, 0);
+  }
+
+  // ----------------------------------------------------------------
+  //  flush()
+  //  Uploads the frame's instances and draws them, one call per batch.
+  // ----------------------------------------------------------------
+  flush() {
+    const { gl, canvas, loc } = this;
+    if (!this.lost && this.count > 0) {
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.useProgram(this.program);
+      gl.uniform2f(loc.resolution, canvas.width, canvas.height);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+      gl.bufferData(gl.ARRAY_BUFFER, this.data.subarray(0, this.count * STRIDE), gl.STREAM_DRAW);
+
+      const bytes = STRIDE * 4;
+      for (const batch of this.batches) {
+        if (batch.blend === LIGHTER) gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE, gl.ONE, gl.ONE);
+        else gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        // No base-instance offset in WebGL: point the attributes at the batch
+        const base = batch.start * bytes;
+        gl.vertexAttribPointer(loc.circle, 3, gl.FLOAT, false, bytes, base);
+        gl.vertexAttribPointer(loc.color, 4, gl.FLOAT, false, bytes, base + 12);
+        gl.vertexAttribPointer(loc.shape, 2, gl.FLOAT, false, bytes, base + 28);
+        this.instancing.draw(batch.count);
+      }
+    }
+    this.count = 0;
+    this.batches.length = 0;
+  }
+
+  // ----------------------------------------------------------------
+  //  _push(...)
+  //  Private. Appends one instance, growing the buffer as needed.
+  // ----------------------------------------------------------------
+  _push(blend, x, y, radius, r, g, b, a, shape, line) {
+    if ((this.count + 1) * STRIDE > this.data.length) {
+      const grown = new Float32Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+
+    let batch = this.batches[this.batches.length - 1];
+    if (!batch || batch.blend !== blend) {
+      batch = { blend, start: this.count, count: 0 };
+      this.batches.push(batch);
+    }
+
+    const d = this.data;
+    const o = this.count * STRIDE;
+    d[o] = x; d[o + 1] = y; d[o + 2] = radius;
+    d[o + 3] = r; d[o + 4] = g; d[o + 5] = b; d[o + 6] = a;
+    d[o + 7] = shape; d[o + 8] = line;
+    this.count++;
+    batch.count++;
+  }
+}
@@ -0,0 +1,206 @@
+// =============================================================
+//  forces.js
+//  The force primitives particle movement is built from. Each
+//  emotion (EMOTION_CONFIG) and sensation profile (SENSATION_PHYSICS)
+//  describes how its particles move as a list of these, applied in
+//  order every step:
+//
+//    forces: [
+//      { force: 'gravity', y: 0.12 },
+//      { force: 'radial', strength: -0.04 }
+//    ]
+//
+//  Strengths are per step (see Particle.STEP). Most primitives take
+//  one `strength`, or `x` and `y` to weigh the axes separately.
+//  Centred primitives work around the canvas centre, or around where
+//  the particle was born with `around: 'home'`.
+//
+//  Any entry can also be gated or shaped (times in seconds of age):
+//    from / until      only between these ages
+//    fromLife          only after this fraction of the lifespan
+//    period + phase    only in the [start, end) fraction of each period
+//    every             only on one step per this many seconds
+//    inside / outside  only within / beyond this fraction of the
+//                      smaller canvas side from the centre
+//    fadeOut           strength falls linearly to 0 by this age
+//
+//  Unknown primitives are skipped.
+// =============================================================
+
+// ── Primitives ───────────────────────────────────────────────
+//  Each applies its force to `p`, scaled by `scale` (from the gates).
+//  `f` is the entry with every parameter filled in (see normalise).
+export const FORCES = {
+  // Push away from the centre (negative strength pulls in). With
+  // `reach` (px) or `edge` (fraction of the smaller side) it weakens
+  // linearly with distance, to `floor` of full strength at that range.
+  radial(p, f, scale, w, h) {
+    const dx = p.x - (f.home ? p.homeX : w / 2);
+    const dy = p.y - (f.home ? p.homeY : h / 2);
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const reach = f.reach || f.edge * Math.min(w, h);
+    if (reach > 0) scale *= Math.max(f.floor, 1 - dist / reach);
+    p.applyForce((dx / dist) * f.x * scale, (dy / dist) * f.y * scale);
+  },
+
+  // Push sideways around the centre, clockwise on screen (negative
+  // strength runs counter-clockwise). With `rate` (rad/s) the push
+  // swings back and forth instead.
+  orbit(p, f, scale, w, h) {
+    const dx = p.x - (f.home ? p.homeX : w / 2);
+    const dy = p.y - (f.home ? p.homeY : h / 2);
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    if (f.rate) scale *= Math.sin(p.age * f.rate);
+    p.applyForce((dy / dist) * f.x * scale, (-dx / dist) * f.y * scale);
+  },
+
+  // A constant force: `x` right, `y` down
+  gravity(p, f, scale) {
+    p.applyForce(f.x * scale, f.y * scale);
+  },
+
+  // Random noise on each axis, ± half the strength (an axis weighted
+  // 0 is left alone)
+  jitter(p, f, scale) {
+    p.applyForce(
+      f.x ? (p.random() - 0.5) * f.x * scale : 0,
+      f.y ? (p.random() - 0.5) * f.y * scale : 0
+    );
+  },
+
+  // Sine sway on x and cosine on y, at `rate` rad/s (`rateY` for y)
+  oscillate(p, f, scale) {
+    p.applyForce(
+      Math.sin(p.age * f.rate) * f.x * scale,
+      Math.cos(p.age * f.rateY) * f.y * scale
+    );
+  },
+
+  // A kick of full strength in a random direction
+  burst(p, f, scale) {
+    const angle = p.random() * Math.PI * 2;
+    p.applyForce(Math.cos(angle) * f.strength * scale, Math.sin(angle) * f.strength * scale);
+  },
+
+  // Drag against the current velocity (a fraction of it per step)
+  damp(p, f, scale) {
+    p.applyForce(-p.vx * f.x * scale, -p.vy * f.y * scale);
+  },
+
+  // Steer toward a point circling the centre at `radius` (fraction of
+  // the smaller side), `rate` rad/s, flattened vertically by `squash`
+  chase(p, f, scale, w, h) {
+    const r = f.radius * Math.min(w, h);
+    const dx = w / 2 + Math.cos(p.age * f.rate) * r - p.x;
+    const dy = h / 2 + Math.sin(p.age * f.rate) * r * f.squash - p.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    p.applyForce((dx / dist) * f.strength * scale, (dy / dist) * f.strength * scale);
+  },
+
+  // Pull toward the centre, `strength` per px of distance, up to `max`
+  spring(p, f, scale, w, h) {
+    const dx = (f.home ? p.homeX : w / 2) - p.x;
+    const dy = (f.home ? p.homeY : h / 2) - p.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const pull = Math.min(f.max, dist * f.strength) * scale;
+    p.applyForce((dx / dist) * pull, (dy / dist) * pull);
+  },
+
+  // Settle onto the nearest horizontal lane, `spacing` px apart
+  lanes(p, f, scale) {
+    const laneY = Math.round(p.y / f.spacing) * f.spacing;
+    p.applyForce(0, (laneY - p.y) * f.strength * scale);
+  },
+
+  // Keep going whichever way it is already heading, per axis
+  coast(p, f, scale) {
+    p.applyForce(Math.sign(p.vx) * f.x * scale, Math.sign(p.vy) * f.y * scale);
+  }
+};
+
+// ── Compiling ────────────────────────────────────────────────
+// Lists run for every particle every step, so each is compiled once:
+// entries get every parameter filled in (one object shape, which
+// keeps the property reads fast) and unknown primitives are dropped.
+const compiled = new WeakMap();
+
+function normalise(f) {
+  const strength = f.strength ?? 0;
+  return {
+    apply: FORCES[f.force],
+    strength,
+    x: f.x ?? strength,
+    y: f.y ?? strength,
+    home: f.around === 'home',
+    reach: f.reach ?? 0,
+    edge: f.edge ?? 0,
+    floor: f.floor ?? 0,
+    rate: f.rate ?? 0,
+    rateY: f.rateY ?? f.rate ?? 0,
+    radius: f.radius ?? 0,
+    squash: f.squash ?? 1,
+    max: f.max ?? Infinity,
+    spacing: f.spacing ?? 1,
+    from: f.from ?? -Infinity,
+    until: f.until ?? Infinity,
+    fromLife: f.fromLife ?? 0,
+    period: f.period ?? 0,
+    phaseStart: f.phase?.[0] ?? 0,
+    phaseEnd: f.phase?.[1] ?? 1,
+    every: f.every ?? 0,
+    inside: f.inside ?? Infinity,
+    outside: f.outside ?? 0,
+    fadeOut: f.fadeOut ?? 0
+  };
+}
+
+/**
+ * The runnable form of a movement description, built once per list.
+ * @param {Object[]} forces - Entries of { force, ...params }
+ * @returns {Object[]}
+ */
+export function compileForces(forces) {
+  let list = compiled.get(forces);
+  if (!list) {
+    list = forces.filter(f => FORCES[f.force]).map(normalise);
+    compiled.set(forces, list);
+  }
+  return list;
+}
+
+// ── Gates ────────────────────────────────────────────────────
+// Strength multiplier for an entry at the particle's current age and
+// position: 0 when gated off.
+function gateScale(p, f, w, h, step) {
+  const age = p.age;
+  if (age < f.from || age >= f.until || age < p.lifespan * f.fromLife) return 0;
+  if (f.period > 0) {
+    const t = (age % f.period) / f.period;
+    if (t < f.phaseStart || t >= f.phaseEnd) return 0;
+  }
+  // `every` passes on the one step whose age crosses a multiple of it
+  if (f.every > 0 && Math.floor(age / f.every) === Math.floor((age - step) / f.every)) return 0;
+  if (f.inside !== Infinity || f.outside > 0) {
+    const dx = p.x - w / 2;
+    const dy = p.y - h / 2;
+    const dist = Math.sqrt(dx * dx + dy * dy) / Math.min(w, h);
+    if (dist >= f.inside || dist < f.outside) return 0;
+  }
+  return f.fadeOut > 0 ? Math.max(0, 1 - age / f.fadeOut) : 1;
+}
+
+/**
+ * Applies a compiled movement description to a particle for one step.
+ * @param {import('./Particle.js').Particle} p
+ * @param {Object[]} forces - From compileForces()
+ * @param {number} width    - Canvas width
+ * @param {number} height   - Canvas height
+ * @param {number} step     - Seconds per step
+ */
+export function applyForces(p, forces, width, height, step) {
+  for (let i = 0; i < forces.length; i++) {
+    const f = forces[i];
+    const scale = gateScale(p, f, width, height, step);
+    if (scale !== 0) f.apply(p, f, scale, width, height);
+  }
+}
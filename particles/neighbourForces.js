@@ -0,0 +1,116 @@
+// =============================================================
+//  neighbourForces.js
+//  Forces between nearby particles, looked up in a SpatialHash.
+//  Force lists (forces.js) give each emotion its own movement; these add
+//  how particles of that emotion treat the ones around them:
+//    anger       shoves every nearby angry particle away
+//    fear        scatters from anything close, of any emotion
+//    calm        drifts loosely together with other calm particles
+//    tender      pairs up — each one settles beside its nearest
+//                tender partner and moves with it
+//    loneliness  keeps a wide, quiet distance from everyone
+//
+//  Rules are keyed by behaviour, so a sensation burst follows the
+//  rules of the emotion it names (a 'Hot' burst repels like anger).
+// =============================================================
+
+// ── Rules ────────────────────────────────────────────────────
+//   radius    reach in px
+//   strength  force scale
+//   kin       only neighbours of the same behaviour count
+//   falloff   push weakens linearly to 0 at the radius
+//   space     cohesion: closer than this, neighbours push apart…
+//   push      …this hard
+//   align     cohesion: how strongly velocity matches the neighbours'
+//   rest      pair spacing in px
+export const NEIGHBOUR_RULES = {
+  anger:      { rule: 'separate', radius: 60, strength: 0.4, kin: true, falloff: false },
+  fear:       { rule: 'separate', radius: 70, strength: 0.35, kin: false, falloff: true },
+  loneliness: { rule: 'separate', radius: 120, strength: 0.04, kin: false, falloff: true },
+  calm:       { rule: 'cohere', radius: 110, strength: 0.001, kin: true, space: 20, push: 0.1, align: 0.02 },
+  tender:     { rule: 'pair', radius: 90, strength: 0.01, kin: true, rest: 14 }
+};
+
+/** Grid cell size for the SpatialHash, well under the rule radii. */
+export const NEIGHBOUR_CELL = 30;
+
+// Neighbours considered per particle. Caps the cost of a dense clump
+// (every burst starts as one) at a constant per particle.
+export const MAX_NEIGHBOURS = 16;
+
+const neighbours = new Array(MAX_NEIGHBOURS);
+const sameBehaviour = (other, p) => other.behaviour === p.behaviour;
+
+// ── Rule forces ──────────────────────────────────────────────
+const RULES = {
+  // Push away from each neighbour: a fixed shove, or one that fades
+  // with distance
+  separate(p, { strength, falloff, radius }, count) {
+    for (let i = 0; i < count; i++) {
+      const o = neighbours[i];
+      const dx = o.x - p.x, dy = o.y - p.y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d < 0.1) continue;
+      const f = (falloff ? strength * (1 - d / radius) : strength) / d;
+      p.applyForce(-dx * f, -dy * f);
+    }
+  },
+
+  // A loose flock: pull toward the neighbours' centre, drift with
+  // their average velocity, and keep `space` px of room around each
+  cohere(p, { strength, space, push, align }, count) {
+    if (count === 0) return;
+    let sx = 0, sy = 0, svx = 0, svy = 0;
+    for (let i = 0; i < count; i++) {
+      const o = neighbours[i];
+      sx += o.x;
+      sy += o.y;
+      svx += o.vx;
+      svy += o.vy;
+      const dx = o.x - p.x, dy = o.y - p.y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d > 0.1 && d < space) {
+        const f = push * (1 - d / space) / d;
+        p.applyForce(-dx * f, -dy * f);
+      }
+    }
+    p.applyForce((sx / count - p.x) * strength, (sy / count - p.y) * strength);
+    p.applyForce((svx / count - p.vx) * align, (svy / count - p.vy) * align);
+  },
+
+  // Spring toward the nearest neighbour at `rest` px and match its
+  // velocity, so the two travel together
+  pair(p, { strength, rest }, count) {
+    let partner = null;
+    let best = Infinity;
+    for (let i = 0; i < count; i++) {
+      const o = neighbours[i];
+      const dSq = (o.x - p.x) ** 2 + (o.y - p.y) ** 2;
+      if (dSq < best) {
+        best = dSq;
+        partner = o;
+      }
+    }
+    if (!partner) return;
+    const dx = partner.x - p.x, dy = partner.y - p.y;
+    const d = Math.sqrt(best) || 1;
+    const pull = (d - rest) / d * strength;
+    p.applyForce(dx * pull, dy * pull);
+    p.applyForce((partner.vx - p.vx) * strength * 2, (partner.vy - p.vy) * strength * 2);
+  }
+};
+
+/**
+ * Applies every particle's neighbour rule. The grid must have been
+ * rebuilt from the same particles this step.
+ * @param {import('./Particle.js').Particle[]} particles
+ * @param {import('./SpatialHash.js').SpatialHash} grid
+ */
+export function applyNeighbourForces(particles, grid) {
+  for (const p of particles) {
+    const rule = NEIGHBOUR_RULES[p.behaviour];
+    if (!rule) continue;
+    const count = grid.near(p, rule.radius, neighbours, rule.kin ? sameBehaviour : null);
+    RULES[rule.rule](p, rule, count);
+  }
+}
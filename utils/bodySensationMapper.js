@@ -12,6 +12,8 @@
 //  The suggestions are phrased as gentle invitations, not diagnoses.
 // =============================================================
 
+import { shuffle } from './random.js';
+
 // ── Emotion → Body Sensation Map ────────────────────────────
 // Values are arrays of sensation words from the comprehensive list.
 // Organised by most → least commonly felt for that emotion.
@@ -107,6 +109,42 @@ const SENSATION_MAP = {
         'Light', 'Open', 'Spacious'
     ],
 
+    surprise: [
+        'Electric', 'Jumpy', 'Breathless', 'Tingling', 'Frozen',
+        'Buzzy', 'Fluttery', 'Pounding', 'Expanded', 'Prickly',
+        'Wide', 'Still'
+    ],
+
+    disgust: [
+        'Queasy', 'Nauseous', 'Clenched', 'Contracted', 'Tight',
+        'Prickly', 'Knotted', 'Crawling', 'Constricted', 'Rigid',
+        'Hot', 'Blocked'
+    ],
+
+    envy: [
+        'Tight', 'Hot', 'Burning', 'Knotted', 'Clenched',
+        'Sour', 'Hollow', 'Constricted', 'Prickly', 'Tense',
+        'Restless', 'Gnawing'
+    ],
+
+    nostalgia: [
+        'Warm', 'Achy', 'Soft', 'Full', 'Tender',
+        'Heavy', 'Hollow', 'Slow', 'Gentle', 'Sensitive',
+        'Fluid', 'Glowing'
+    ],
+
+    boredom: [
+        'Restless', 'Heavy', 'Dull', 'Slow', 'Fidgety',
+        'Sluggish', 'Drained', 'Flat', 'Stiff', 'Wooden',
+        'Twitchy', 'Spacey'
+    ],
+
+    loneliness: [
+        'Hollow', 'Empty', 'Cold', 'Achy', 'Heavy',
+        'Contracted', 'Sore', 'Numb', 'Tight', 'Drained',
+        'Slow', 'Still'
+    ],
+
     idle: [
         'Neutral', 'Still', 'Settled', 'Soft', 'Gentle'
     ]
@@ -119,9 +157,10 @@ const SENSATION_MAP = {
  *
  * @param {Array<{emotion:string, weight:number}>} blend
  * @param {number} count - How many sensations to return (default 4)
+ * @param {() => number} [random=Math.random] - Seeded generator (see random.js)
  * @returns {string[]}  - Array of sensation label strings
  */
-export function getSensationSuggestions(blend, count = 4) {
+export function getSensationSuggestions(blend, count = 4, random = Math.random) {
     if (!blend || blend.length === 0) return [];
 
     // Build a weighted pool: top-weight emotions contribute more candidates
@@ -131,12 +170,12 @@ export function getSensationSuggestions(blend, count = 4) {
         // Number of candidates drawn from this emotion proportional to weight
         const draw = Math.min(sensations.length, Math.max(3, Math.round(sensations.length * weight)));
         // Shuffle and take `draw` items
-        const shuffled = [...sensations].sort(() => Math.random() - 0.5).slice(0, draw);
+        const shuffled = shuffle([...sensations], random).slice(0, draw);
         shuffled.forEach(s => pool.push(s));
     });
 
     // Deduplicate and shuffle the full pool
-    const unique = [...new Set(pool)].sort(() => Math.random() - 0.5);
+    const unique = shuffle([...new Set(pool)], random);
 
     // Return only `count` items
     return unique.slice(0, count);
@@ -0,0 +1,38 @@
+// =============================================================
+//  detectorWorker.js
+//  Runs detectEmotion() off the main thread for the live preview,
+//  so re-reading a 5,000-character diary on every pause in typing
+//  never stalls the animation loop.
+//
+//  Messages in:
+//    { type: 'pack',   url }                  load a lexicon pack (absolute URL)
+//    { type: 'personal', shifts }             replace the personal overlay
+//    { type: 'detect', id, text, language }
+//  Messages out:
+//    { type: 'result', id, emotion, confidence, certainty, blend, total }
+// =============================================================
+
+import { detectEmotion, fetchLexiconPack, setPersonalLexicon } from './emotionDetector.js';
+
+// Packs load in the order they were sent, and detection waits for them
+let ready = Promise.resolve();
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'pack') {
+        ready = ready.then(() => fetchLexiconPack(data.url));
+        return;
+    }
+
+    if (data.type === 'personal') {
+        setPersonalLexicon(data.shifts);
+        return;
+    }
+
+    if (data.type === 'detect') {
+        ready.then(() => {
+            const { emotion, confidence, certainty, blend, total } =
+                detectEmotion(data.text, { language: data.language });
+            self.postMessage({ type: 'result', id: data.id, emotion, confidence, certainty, blend, total });
+        });
+    }
+});
@@ -2,6 +2,9 @@
 //  emotionConfig.js  (V2)
 //  Maps each of the 9 detected emotions to a complete physics
 //  + visual profile used by main.js when spawning particles.
+//  Lifespans are in seconds; speed and friction are per physics
+//  step (see Particle.STEP). `forces` describes how the particles
+//  move, as a list of the primitives in particles/forces.js.
 // =============================================================
 
 export const EMOTION_CONFIG = {
@@ -15,7 +18,10 @@ export const EMOTION_CONFIG = {
         speed: 4.5,
         friction: 0.985,
         behaviour: 'joy',
-        lifespan: 280,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ],
+        lifespan: 4.7,
         count: 110,
         trail: 12,
         bgGlow: 'rgba(255,200,0,0.04)'
@@ -30,7 +36,10 @@ export const EMOTION_CONFIG = {
         speed: 9,
         friction: 0.935,
         behaviour: 'anger',
-        lifespan: 160,
+        forces: [
+            { force: 'jitter', strength: 1.2 }  // explosive kicks
+        ],
+        lifespan: 2.7,
         count: 140,
         trail: 6,
         bgGlow: 'rgba(255,40,0,0.05)'
@@ -45,7 +54,11 @@ export const EMOTION_CONFIG = {
         speed: 1.8,
         friction: 0.97,
         behaviour: 'sadness',
-        lifespan: 360,
+        forces: [
+            { force: 'gravity', y: 0.12 },
+            { force: 'radial', strength: -0.04 }  // slow inward drift
+        ],
+        lifespan: 6,
         count: 90,
         trail: 14,
         bgGlow: 'rgba(40,80,200,0.04)'
@@ -60,7 +73,11 @@ export const EMOTION_CONFIG = {
         speed: 5.5,
         friction: 0.96,
         behaviour: 'anxiety',
-        lifespan: 220,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ],
+        lifespan: 3.7,
         count: 120,
         trail: 9,
         bgGlow: 'rgba(150,0,220,0.05)'
@@ -77,7 +94,12 @@ export const EMOTION_CONFIG = {
         speed: 6.5,
         friction: 0.91,          // Burns out very fast after burst
         behaviour: 'fear',
-        lifespan: 140,
+        forces: [
+            { force: 'damp', strength: 0.25, period: 1, phase: [0, 0.5] },  // freeze…
+            { force: 'burst', strength: 0.9, period: 1, phase: [0.5, 1] },  // …then flee
+            { force: 'jitter', strength: 0.3 }  // trembling
+        ],
+        lifespan: 2.3,
         count: 100,
         trail: 5,
         bgGlow: 'rgba(20,30,60,0.06)'
@@ -93,7 +115,10 @@ export const EMOTION_CONFIG = {
         speed: 1.2,
         friction: 0.993,         // Extremely slow decay → gentle float
         behaviour: 'calm',
-        lifespan: 420,
+        forces: [
+            { force: 'radial', strength: -0.008 }  // ultra-soft centring
+        ],
+        lifespan: 7,
         count: 70,
         trail: 16,
         bgGlow: 'rgba(40,200,150,0.03)'
@@ -108,7 +133,11 @@ export const EMOTION_CONFIG = {
         speed: 3.5,
         friction: 0.978,
         behaviour: 'curiosity',
-        lifespan: 300,
+        forces: [
+            { force: 'orbit', strength: 0.18 },
+            { force: 'radial', strength: -0.04 }  // held in orbit
+        ],
+        lifespan: 5,
         count: 100,
         trail: 13,
         bgGlow: 'rgba(220,120,0,0.04)'
@@ -123,7 +152,11 @@ export const EMOTION_CONFIG = {
         speed: 2.2,
         friction: 0.988,
         behaviour: 'gratitude',
-        lifespan: 350,
+        forces: [
+            { force: 'radial', x: 0.06, y: 0.05 },
+            { force: 'gravity', y: -0.02 }
+        ],
+        lifespan: 5.8,
         count: 90,
         trail: 15,
         bgGlow: 'rgba(220,200,50,0.03)'
@@ -138,7 +171,11 @@ export const EMOTION_CONFIG = {
         speed: 2.8,
         friction: 0.955,
         behaviour: 'shame',
-        lifespan: 190,
+        forces: [
+            { force: 'radial', x: -0.14, y: -0.12 },
+            { force: 'orbit', strength: 0.08 }
+        ],
+        lifespan: 3.2,
         count: 80,
         trail: 8,
         bgGlow: 'rgba(180,40,80,0.04)'
@@ -154,7 +191,11 @@ export const EMOTION_CONFIG = {
         speed: 6,
         friction: 0.975,
         behaviour: 'courage',
-        lifespan: 260,
+        forces: [
+            { force: 'gravity', y: -0.2, fadeOut: 1.33 },  // the climb
+            { force: 'radial', x: 0.04, y: 0.03 }
+        ],
+        lifespan: 4.3,
         count: 100,
         trail: 11,
         bgGlow: 'rgba(0,200,255,0.04)'
@@ -169,7 +210,11 @@ export const EMOTION_CONFIG = {
         speed: 2.5,
         friction: 0.986,
         behaviour: 'hopeful',
-        lifespan: 320,
+        forces: [
+            { force: 'gravity', y: -0.06 },
+            { force: 'oscillate', x: 0.08, rate: 3 }  // side-to-side waver
+        ],
+        lifespan: 5.3,
         count: 85,
         trail: 13,
         bgGlow: 'rgba(80,220,170,0.03)'
@@ -185,7 +230,11 @@ export const EMOTION_CONFIG = {
         speed: 1.5,
         friction: 0.975,
         behaviour: 'disconnected',
-        lifespan: 280,
+        forces: [
+            { force: 'radial', strength: -0.015 },
+            { force: 'gravity', y: 0.02, fromLife: 0.4 }  // sinks in later life
+        ],
+        lifespan: 4.7,
         count: 65,
         trail: 10,
         bgGlow: 'rgba(60,80,100,0.03)'
@@ -200,7 +249,11 @@ export const EMOTION_CONFIG = {
         speed: 7,
         friction: 0.945,
         behaviour: 'stress',
-        lifespan: 175,
+        forces: [
+            { force: 'burst', strength: 1.4, every: 0.2 },
+            { force: 'jitter', strength: 0.5 }
+        ],
+        lifespan: 2.9,
         count: 130,
         trail: 7,
         bgGlow: 'rgba(200,100,0,0.05)'
@@ -215,7 +268,11 @@ export const EMOTION_CONFIG = {
         speed: 1.5,
         friction: 0.968,
         behaviour: 'powerless',
-        lifespan: 300,
+        forces: [
+            { force: 'gravity', y: 0.2 },
+            { force: 'radial', strength: -0.02 }
+        ],
+        lifespan: 5,
         count: 75,
         trail: 9,
         bgGlow: 'rgba(60,30,20,0.05)'
@@ -230,7 +287,11 @@ export const EMOTION_CONFIG = {
         speed: 3.2,
         friction: 0.962,
         behaviour: 'unsettled',
-        lifespan: 200,
+        forces: [
+            { force: 'jitter', strength: 0.35 },
+            { force: 'jitter', strength: 1.2, every: 0.42 }  // occasional lurch
+        ],
+        lifespan: 3.3,
         count: 90,
         trail: 8,
         bgGlow: 'rgba(150,160,0,0.04)'
@@ -245,10 +306,136 @@ export const EMOTION_CONFIG = {
         speed: 2,
         friction: 0.99,
         behaviour: 'tender',
-        lifespan: 380,
+        forces: [
+            { force: 'radial', x: 0.03, y: 0.025 },
+            { force: 'orbit', x: 0.05, y: 0.045 }
+        ],
+        lifespan: 6.3,
         count: 80,
         trail: 15,
         bgGlow: 'rgba(220,100,150,0.03)'
+    },
+
+    // ── SURPRISE ❗ ───────────────────────────────────────────
+    // One sharp radial flash that stops dead and hangs, then
+    // drifts — the held breath after the jolt. Electric white-violet.
+    surprise: {
+        color: '#EEDDFF',
+        glowColor: '#AA88FF',
+        size: 5,
+        speed: 10,
+        friction: 0.9,
+        behaviour: 'surprise',
+        forces: [
+            { force: 'radial', strength: 2.2, until: 0.13 },  // flash
+            { force: 'damp', strength: 0.3, from: 0.13, until: 1 },  // held breath
+            { force: 'jitter', x: 0.05, y: 0, from: 1 },  // exhale…
+            { force: 'gravity', y: -0.02, from: 1 }
+        ],
+        lifespan: 3.3,
+        count: 120,
+        trail: 6,
+        bgGlow: 'rgba(180,150,255,0.05)'
+    },
+
+    // ── DISGUST 🤢 ────────────────────────────────────────────
+    // Particles recoil from the centre, hardest close in, with a
+    // queasy sideways lurch. Bilious green.
+    disgust: {
+        color: '#88AA22',
+        glowColor: '#556611',
+        size: 4.5,
+        speed: 3.5,
+        friction: 0.955,
+        behaviour: 'disgust',
+        forces: [
+            { force: 'radial', strength: 0.25, reach: 300, floor: 0.1 },  // recoil
+            { force: 'orbit', strength: -0.12, rate: 4.2 }  // queasy sway
+        ],
+        lifespan: 3.5,
+        count: 90,
+        trail: 7,
+        bgGlow: 'rgba(100,130,20,0.05)'
+    },
+
+    // ── ENVY 💚 ───────────────────────────────────────────────
+    // Particles chase a point circling the centre — always behind,
+    // never arriving. Jealous emerald.
+    envy: {
+        color: '#22CC66',
+        glowColor: '#118844',
+        size: 4,
+        speed: 3.8,
+        friction: 0.965,
+        behaviour: 'envy',
+        forces: [
+            { force: 'chase', strength: 0.12, radius: 0.3, rate: 1.5, squash: 0.6 }
+        ],
+        lifespan: 4.3,
+        count: 95,
+        trail: 11,
+        bgGlow: 'rgba(20,180,90,0.04)'
+    },
+
+    // ── NOSTALGIA 📷 ──────────────────────────────────────────
+    // Slow drift that keeps curling back toward where each particle
+    // started. Faded sepia, long trails like old film.
+    nostalgia: {
+        color: '#DDAA77',
+        glowColor: '#AA7744',
+        size: 4,
+        speed: 1.8,
+        friction: 0.985,
+        behaviour: 'nostalgia',
+        forces: [
+            { force: 'spring', strength: 0.0006, max: 0.06, around: 'home' },
+            { force: 'orbit', strength: 0.03, around: 'home' }
+        ],
+        lifespan: 6.7,
+        count: 75,
+        trail: 18,
+        bgGlow: 'rgba(200,150,90,0.03)'
+    },
+
+    // ── BOREDOM 😐 ────────────────────────────────────────────
+    // Flat, horizontal crawl that settles into lanes and loses
+    // speed. Dull beige-grey, sparse, no flourish.
+    boredom: {
+        color: '#AA9F8F',
+        glowColor: '#776F66',
+        size: 3.5,
+        speed: 1.4,
+        friction: 0.98,
+        behaviour: 'boredom',
+        forces: [
+            { force: 'damp', x: 0, y: 0.08 },
+            { force: 'lanes', spacing: 40, strength: 0.004 },
+            { force: 'coast', x: 0.006 }  // listless crawl
+        ],
+        lifespan: 5.3,
+        count: 55,
+        trail: 6,
+        bgGlow: 'rgba(120,110,100,0.02)'
+    },
+
+    // ── LONELINESS 🌙 ─────────────────────────────────────────
+    // Particles drift out to the edges and hang there, each one on
+    // its own in the dark. Moonlit indigo, few and long-lived.
+    loneliness: {
+        color: '#6677CC',
+        glowColor: '#334499',
+        size: 4,
+        speed: 1.6,
+        friction: 0.98,
+        behaviour: 'loneliness',
+        forces: [
+            { force: 'radial', strength: 0.05, edge: 0.42 },
+            { force: 'damp', strength: 0.04, outside: 0.42 }  // hang at the edge
+        ],
+        lifespan: 7,
+        count: 40,
+        trail: 14,
+        bgGlow: 'rgba(50,60,140,0.03)'
     }
 };
 
@@ -260,13 +447,14 @@ export const IDLE_CONFIG = {
     speed: 1.2,
     friction: 0.99,
     behaviour: 'joy',
-    lifespan: 300,
+    forces: EMOTION_CONFIG.joy.forces,
+    lifespan: 5,
     count: 40,
     trail: 5,
     bgGlow: 'rgba(100,100,150,0.02)'
 };
 
-// ── UI metadata for all 15 emotions + idle ────────────────────
+// ── UI metadata for all 21 emotions + idle ────────────────────
 export const EMOTION_META = {
     joy: { icon: '', label: 'Joy' },
     calm: { icon: '', label: 'Calm' },
@@ -283,5 +471,11 @@ export const EMOTION_META = {
     powerless: { icon: '', label: 'Powerless' },
     unsettled: { icon: '', label: 'Unsettled' },
     tender: { icon: '', label: 'Tender' },
+    surprise: { icon: '', label: 'Surprise' },
+    disgust: { icon: '', label: 'Disgust' },
+    envy: { icon: '', label: 'Envy' },
+    nostalgia: { icon: '', label: 'Nostalgia' },
+    boredom: { icon: '', label: 'Boredom' },
+    loneliness: { icon: '', label: 'Loneliness' },
     idle: { icon: '', label: 'Waiting…' }
 };
@@ -1,23 +1,53 @@
 // =============================================================
 //  emotionDetector.js  (V2 — Full Vocabulary)
-//  15-category emotion classifier with ~200+ word lexicon.
+//  21-category emotion classifier with ~200+ word lexicon.
 //  Handles single words, phrases, and long paragraphs equally.
 //
 //  Smart features:
+//    • Multi-word phrase matching (on edge, fed up, lump in my throat)
+//    • Inflection handling (worrying → worry, overwhelms → overwhelm)
+//    • Typo tolerance (overwelmed → overwhelmed), reported as corrections
 //    • Intensifier boosting (very, so, really → weight ×1.5)
-//    • Negation inversion (not happy → sadness/anxiety signal)
+//    • Modality dampening (maybe, I guess, questions, "if I fail")
+//    • Clause-scoped negation with an opponent matrix (not calm → anxiety)
 //    • Paragraph-normalised scoring (total sum → weights)
 //    • Multi-emotion blend array (top emotions above threshold)
 //    • Bodily sensation cross-tag (somatic intensity multiplier)
+//    • Valence / arousal / dominance from per-entry coordinates
+//    • Absolute intensity, comparable across texts (unlike confidence)
+//    • Emoji, emoticons and expressive typography (😭, :D, !!!, SO, sooooo)
+//    • Loadable lexicon packs merged over the built-in tables
+//    • A personal overlay of learned weight shifts (personalLexicon.js)
+//    • English, Spanish, French and German tables with auto-detection
 //
 //  Return shape:
 //    emotion    {string}   dominant emotion key
-//    confidence {number}   0–1 share of total score
+//    confidence {number}   0–1 share of total score, scaled by certainty
+//    certainty  {number}   0–1, how firmly the emotion words were stated
+//    intensity  {number}   0–1, how strongly the feeling is expressed
 //    scores     {Object}   raw score per emotion
 //    blend      {Array}    [{ emotion, weight }, …] above threshold
 //    bodily     {number}   0–2 body-sensation intensity multiplier
+//    vad        {Object}   { valence, arousal, dominance }, each −1 → 1
+//    language   {string}   language code the text was analysed as
+//    timeline   {Array}    per-sentence breakdown (see detectEmotion)
+//    evidence   {Array}    every lexicon hit behind the scores
+//    corrections {Array}   misspelt words read as lexicon words
 // =============================================================
 
+import { lemmaCandidates, inflectionCandidates } from './morphology.js';
+import { FUZZY_EXCEPTIONS, buildFuzzyIndex, findCorrection } from './fuzzyMatch.js';
+import { validateLexiconPack, mergeLexiconPack } from './lexiconPacks.js';
+import { rankLanguages } from './languageDetector.js';
+import {
+    EMOJI_LEXICON, EMOTICON_LEXICON, EMOTICON_PATTERN, EMOJI_PATTERN, cleanEmoji,
+    CAPS_BOOST, STRETCH_BOOST, isShouted, isStretched, unstretch, sentenceEmphasis
+} from './expressiveSignals.js';
+import { EMOTION_VAD, WORD_VAD, NEUTRAL_VAD, toVad } from './vadLexicon.js';
+import es from './languages/es.js';
+import fr from './languages/fr.js';
+import de from './languages/de.js';
+
 // ── Negation words ───────────────────────────────────────────
 const NEGATION_WORDS = new Set([
     'not', 'no', 'never', 'neither', 'nor', 'without',
@@ -26,6 +56,60 @@ const NEGATION_WORDS = new Set([
     'lack', 'lacking', 'without', 'unable', 'refuse'
 ]);
 
+// "Never" that turns superlative before a comparative: "never felt so alive"
+const SUPERLATIVE_NEGATIONS = ['never'];
+const COMPARATIVES = ['so', 'this', 'that', 'more', 'as', 'such'];
+
+// ── Emotion opponents ────────────────────────────────────────
+// Where a negated emotion's weight goes: "not calm" reads as anxiety or
+// unsettled, "not afraid" as courage or calm. Shares sum to 1.
+const OPPONENTS = {
+    joy:          { sadness: 0.6, disconnected: 0.4 },
+    calm:         { anxiety: 0.6, unsettled: 0.4 },
+    anger:        { calm: 0.6, tender: 0.4 },
+    fear:         { courage: 0.5, calm: 0.5 },
+    anxiety:      { calm: 0.7, courage: 0.3 },
+    sadness:      { calm: 0.6, joy: 0.4 },
+    shame:        { courage: 0.6, calm: 0.4 },
+    gratitude:    { disconnected: 0.6, anger: 0.4 },
+    courage:      { fear: 0.5, powerless: 0.5 },
+    hopeful:      { powerless: 0.5, sadness: 0.5 },
+    disconnected: { tender: 0.6, calm: 0.4 },
+    stress:       { calm: 0.7, joy: 0.3 },
+    powerless:    { courage: 0.7, hopeful: 0.3 },
+    unsettled:    { calm: 0.6, courage: 0.4 },
+    tender:       { loneliness: 0.5, disconnected: 0.3, anger: 0.2 },
+    surprise:     { calm: 0.6, boredom: 0.4 },
+    disgust:      { calm: 0.7, tender: 0.3 },
+    envy:         { gratitude: 0.6, calm: 0.4 },
+    nostalgia:    { calm: 0.6, hopeful: 0.4 },
+    boredom:      { joy: 0.6, calm: 0.4 },
+    loneliness:   { tender: 0.6, calm: 0.4 }
+};
+
+// Share of a negated word's weight handed to its opponents; "not very
+// happy" hands over half as much, and a double negative ("can't say
+// I'm not happy") keeps the emotion at reduced strength.
+const NEGATION_TRANSFER = 0.8;
+const SOFTENED_NEGATION = 0.5;
+const DOUBLE_NEGATION = 0.7;
+
+// ── Modality markers ─────────────────────────────────────────
+// Hedges soften every hit in their clause ("I guess I'm fine");
+// conditionals make the whole sentence hypothetical ("if I fail").
+// Questions ("am I angry?") are found by their "?".
+const HEDGES = [
+    'maybe', 'perhaps', 'possibly', 'probably', 'kind of', 'sort of',
+    'kinda', 'sorta', 'i guess', 'i think', 'i suppose', 'a bit',
+    'a little', 'somewhat', 'slightly', 'might', 'may', 'seems', 'seem'
+];
+const CONDITIONALS = ['if', 'unless', 'what if', 'in case', 'suppose', 'supposing', 'whether'];
+
+// Multipliers on a hit's weight; they stack ("maybe … ?" → 0.3)
+const HEDGE_DAMPING = 0.6;
+const QUESTION_DAMPING = 0.5;
+const CONDITIONAL_DAMPING = 0.5;
+
 // ── Intensifier words ────────────────────────────────────────
 // When one of these appears before an emotion word, boost weight × 1.5
 const INTENSIFIERS = new Set([
@@ -59,7 +143,9 @@ const LEXICONS = {
         free: 1.5, freedom: 2, liberated: 2, enchanted: 2.5,
         amazed: 2.5, awe: 2.5, wonder: 2, awed: 2.5,
         engaged: 1.5, engagement: 1.5, stimulated: 1.5, love: 2,
-        good: 1, nice: 1, yay: 2, wow: 1.5, yeah: 1
+        good: 1, nice: 1, yay: 2, wow: 1.5, yeah: 1, finally: 1,
+        ok: 0.75, okay: 0.75,
+        'over the moon': 3, 'on cloud nine': 3, 'on top of the world': 3
     },
 
     // ── 2. CALM / ACCEPTING / OPEN ───────────────────────────────
@@ -70,10 +156,11 @@ const LEXICONS = {
         present: 1.5, grounded: 2.5, centered: 2.5, centred: 2.5,
         breath: 1.5, breathing: 1.5, meditate: 2, meditation: 2,
         mindful: 2, quiet: 1.5, gentle: 1.5, soft: 1,
-        content: 2, contented: 2, contentment: 2, ease: 2, steady: 1.5,
+        content: 2, contented: 2, contentment: 2, ease: 2, steady: 1.5, fine: 1,
         patient: 2, patience: 2, accepting: 2, acceptance: 2,
         open: 1.5, openness: 1.5, trusting: 1.5, trust: 1.5,
-        fulfilled: 2, fulfillment: 2, at_peace: 2.5
+        fulfilled: 2, fulfillment: 2, at_peace: 2.5, 'at ease': 2.5,
+        'calmed down': 2, 'let go': 1.5
     },
 
     // ── 3. ANGER ─────────────────────────────────────────────────
@@ -89,7 +176,9 @@ const LEXICONS = {
         moody: 1.5, 'on edge': 1.5, pissed: 2.5, vindictive: 2.5,
         hate: 2.5, hating: 2.5, hatred: 2.5, detest: 2.5, despise: 2.5,
         violent: 2, scream: 1.5, yell: 1.5, shout: 1.5, slam: 1.5,
-        damn: 1.5, hell: 1, upset: 1.5
+        damn: 1.5, hell: 1, upset: 1.5,
+        'fed up': 2, 'sick of': 2, 'sick and tired': 2.5, 'pissed off': 3,
+        'had enough': 2
     },
 
     // ── 4. FEAR ──────────────────────────────────────────────────
@@ -102,7 +191,8 @@ const LEXICONS = {
         nightmare: 2, phobia: 2, frightened: 2.5, apprehensive: 2,
         hesitant: 1.5, nervous: 2, nervousness: 2, panic: 3,
         panicking: 3, panicked: 3, anxious: 2, worried: 2, worry: 2,
-        worrying: 2, fragile: 1.5, sensitive: 1.5
+        worrying: 2, fragile: 1.5, sensitive: 1.5,
+        'scared to death': 3, 'scared stiff': 3
     },
 
     // ── 5. ANXIETY / STRESS ──────────────────────────────────────
@@ -113,7 +203,9 @@ const LEXICONS = {
         spiraling: 2.5, spiral: 2, unsettled: 2, uncertain: 1.5,
         unsure: 1.5, doubt: 1.5, doubtful: 1.5, confused: 1.5,
         shaking: 1.5, trembling: 1.5, racing: 1, breathless: 1.5,
-        shaking: 1.5, trembling: 1.5, racing: 1, breathless: 1.5
+        'on edge': 2, 'freaking out': 2.5, 'heart is racing': 2,
+        'heart racing': 2, 'racing heart': 2, 'butterflies in my stomach': 1.5,
+        'knot in my stomach': 2, 'cannot breathe': 2, "can't breathe": 2
     },
 
     // ── 6. SADNESS / DESPAIR ─────────────────────────────────────
@@ -123,13 +215,13 @@ const LEXICONS = {
         heartbroken: 3, heartbreak: 3, devastated: 3, despondent: 2.5,
         despair: 3, anguish: 3, forlorn: 2.5, gloomy: 1.5,
         discouraged: 2, disappointed: 2, disappointment: 2,
-        lonely: 2.5, loneliness: 2.5, alone: 2, isolation: 2,
         longing: 2, yearning: 2, melancholy: 2, melancholic: 2,
         cry: 2, crying: 2, tears: 1.5, teary: 2, sobbing: 2.5, weep: 2,
         hopeless: 2.5, worthless: 1.5, helpless: 1.5, empty: 1.5,
         numb: 1.5, meaningless: 2, pointless: 2, weary: 1.5,
         broken: 1.5, hurt: 1.5, tired: 1, exhausted: 1.5,
-        broken: 1.5, hurt: 1.5, tired: 1, exhausted: 1.5
+        'lump in my throat': 2.5, 'heavy heart': 2.5, 'broken heart': 3,
+        'feeling down': 2, 'feel down': 2, 'let down': 2
     },
 
     // ── 7. SHAME / EMBARRASSMENT / GUILT ─────────────────────────
@@ -141,7 +233,7 @@ const LEXICONS = {
         regretting: 2, remorseful: 3, remorse: 3, sorry: 2,
         disgrace: 2.5, disgraced: 2.5, exposed: 2, judged: 2,
         failure: 2, failed: 1.5, pathetic: 2, stupid: 1.5,
-        failure: 2, failed: 1.5, pathetic: 2, stupid: 1.5
+        'let everyone down': 3, 'not good enough': 2.5
     },
 
     // ── 8. GRATITUDE ─────────────────────────────────────────────
@@ -152,8 +244,7 @@ const LEXICONS = {
         honored: 2, honoured: 2, fortunate: 2, lucky: 1.5,
         cherish: 2, cherishing: 2, abundance: 1.5, gift: 1.5,
         warmth: 1.5, warm: 1, tender: 1.5, grace: 2.5,
-        appreciative: 2.5,
-        appreciative: 2.5
+        appreciative: 2.5, 'thank you': 2, 'so lucky': 2
     },
 
     // ── 9. COURAGE / POWER ───────────────────────────────────────
@@ -166,7 +257,7 @@ const LEXICONS = {
         worthy: 2, valiant: 2.5, fearless: 2.5, resilient: 2,
         resilience: 2, grounded: 1.5, free: 1.5, driven: 2,
         unstoppable: 3, empowered: 2.5, rising: 1.5,
-        unstoppable: 3, empowered: 2.5, rising: 1.5
+        'stood up for': 2.5, 'stand up for': 2, 'took the leap': 2.5
     },
 
     // ── 10. HOPEFUL ──────────────────────────────────────────────
@@ -176,19 +267,18 @@ const LEXICONS = {
         looking_forward: 2.5, anticipate: 2, anticipation: 2,
         possibility: 1.5, believe: 1.5, believing: 1.5,
         faith: 1.5, trust: 1, bright: 1.5, potential: 1.5,
-        faith: 1.5, trust: 1, bright: 1.5, potential: 1.5
+        'can not wait': 2.5, "can't wait": 2.5, 'things will get better': 3
     },
 
     // ── 11. DISCONNECTED / NUMB ──────────────────────────────────
     disconnected: {
         numb: 2.5, empty: 2, hollow: 2, blank: 1.5, detached: 2.5,
         disconnected: 3, dissociated: 2.5, withdrawn: 2.5, distant: 2,
-        aloof: 2, isolated: 2.5, isolation: 2.5, alone: 1.5,
-        bored: 2, boredom: 2, listless: 2.5, lethargic: 2.5,
+        aloof: 2, listless: 2.5, lethargic: 2.5,
         indifferent: 2.5, apathetic: 2.5, apathy: 2.5, flat: 2,
         removed: 2.5, shut: 1.5, shutdown: 2.5, closed: 1.5,
         uneasy: 1.5, resistant: 1.5, nothing: 1, invisible: 2,
-        uneasy: 1.5, resistant: 1.5, nothing: 1, invisible: 2
+        'going through the motions': 2.5, 'checked out': 2.5, 'zoned out': 2
     },
 
     // ── 12. STRESS / BURNOUT ─────────────────────────────────────
@@ -200,7 +290,8 @@ const LEXICONS = {
         rattled: 2, shaken: 2, tight: 1.5, weary: 2, worn: 1.5,
         'worn out': 2.5, rundown: 2, run_down: 2, heavy: 1.5,
         pressure: 2, pressured: 2, strained: 2,
-        pressure: 2, pressured: 2, strained: 2
+        ugh: 1.5, 'fed up': 1.5, 'too much': 1.5, 'stretched thin': 2.5,
+        'at the end of my rope': 3, 'running on empty': 3
     },
 
     // ── 13. POWERLESS ────────────────────────────────────────────
@@ -210,7 +301,7 @@ const LEXICONS = {
         victim: 2.5, stuck: 2, trapped: 2.5, imprisoned: 2.5,
         no_choice: 2, nowhere: 1.5, can_not: 1.5, unable: 2,
         defeated: 2.5, beaten: 2, crushed: 2, broken: 2, failing: 1.5,
-        defeated: 2.5, beaten: 2, crushed: 2, broken: 2, failing: 1.5
+        'give up': 2, 'gave up': 2, 'giving up': 2, 'out of my hands': 2.5
     },
 
     // ── 14. UNSETTLED / DOUBT ────────────────────────────────────
@@ -219,8 +310,8 @@ const LEXICONS = {
         uncertainty: 2, confused: 2, perplexed: 2.5, questioning: 2,
         skeptical: 2.5, suspicious: 2.5, concerned: 1.5, dissatisfied: 2,
         hesitant: 2, reluctant: 2, ungrounded: 2.5, grouchy: 1.5,
-        inhibited: 1.5, rejecting: 1.5, shocked: 2, disturbed: 1.5,
-        inhibited: 1.5, rejecting: 1.5, shocked: 2, disturbed: 1.5
+        inhibited: 1.5, rejecting: 1.5, disturbed: 1.5,
+        'not sure': 2, 'thrown off': 2, 'out of sorts': 2.5
     },
 
     // ── 15. TENDER / LOVING / CONNECTED ─────────────────────────
@@ -233,9 +324,71 @@ const LEXICONS = {
         connected: 2.5, connection: 2.5, intimate: 2, intimacy: 2,
         held: 1.5, safe: 2, secure: 1.5, reflective: 1.5,
         self_loving: 2.5
+    },
+
+    // ── 16. SURPRISE ─────────────────────────────────────────────
+    surprise: {
+        surprised: 2.5, surprise: 2, surprising: 1.5, astonished: 3,
+        astonishing: 2, astounded: 3, stunned: 2.5, shocked: 2.5,
+        startled: 2.5, flabbergasted: 3, dumbfounded: 3, speechless: 2,
+        blindsided: 2.5, unexpected: 1.5, unexpectedly: 1.5, whoa: 2,
+        omg: 1.5, 'taken aback': 2.5, 'caught off guard': 2.5,
+        'caught me off guard': 2.5, 'took me by surprise': 2.5,
+        'out of nowhere': 1.5, "didn't see that coming": 3,
+        "can't believe": 2, 'cannot believe': 2, 'did not expect': 2,
+        "didn't expect": 2
+    },
+
+    // ── 17. DISGUST ──────────────────────────────────────────────
+    disgust: {
+        disgusted: 3, disgust: 3, disgusting: 2.5, gross: 2,
+        revolted: 3, revolting: 2.5, repulsed: 3, repulsive: 2.5,
+        repugnant: 3, sickened: 2.5, sickening: 2.5, vile: 2.5,
+        nauseated: 2, appalled: 2.5, loathe: 2.5, loathing: 2.5,
+        yuck: 2, eww: 2, ew: 1.5, 'grossed out': 2.5,
+        'makes me sick': 2.5, 'turns my stomach': 2.5
+    },
+
+    // ── 18. ENVY / JEALOUSY ──────────────────────────────────────
+    envy: {
+        envious: 3, envy: 3, jealous: 2.5, jealousy: 2.5, covet: 2,
+        begrudge: 2, fomo: 2, 'green with envy': 3, 'wish i had': 2,
+        'wish i was': 1.5, 'why not me': 2.5, 'compare myself': 2,
+        'comparing myself': 2.5, 'missing out': 1.5
+    },
+
+    // ── 19. NOSTALGIA ────────────────────────────────────────────
+    nostalgia: {
+        nostalgic: 3, nostalgia: 3, reminisce: 2.5, reminiscing: 2.5,
+        wistful: 2.5, bittersweet: 2.5, sentimental: 2, memories: 1.5,
+        childhood: 1.5, throwback: 2, longing: 1.5,
+        'good old days': 3, 'old days': 2, 'back then': 1.5,
+        'those days': 1.5, 'looking back': 1.5, 'miss the days': 2.5,
+        'used to be': 1.5
+    },
+
+    // ── 20. BOREDOM ──────────────────────────────────────────────
+    boredom: {
+        bored: 3, boredom: 3, boring: 2.5, dull: 2, tedious: 2.5,
+        monotonous: 2.5, monotony: 2.5, repetitive: 2, uninterested: 2,
+        meh: 2, blah: 1.5, yawn: 2, 'nothing to do': 2.5,
+        'same old': 2, 'killing time': 2.5, 'bored to death': 3,
+        'bored out of my mind': 3
+    },
+
+    // ── 21. LONELINESS ───────────────────────────────────────────
+    loneliness: {
+        lonely: 3, loneliness: 3, lonesome: 3, alone: 2, isolated: 2.5,
+        isolation: 2.5, friendless: 3, excluded: 2.5, abandoned: 2.5,
+        unwanted: 2, forgotten: 2, nobody: 1.5, 'left out': 2.5,
+        'by myself': 1.5, 'on my own': 1.5, 'no one to talk to': 3,
+        'no friends': 2.5, 'nobody cares': 2.5, 'all alone': 3
     }
 };
 
+/** Every emotion category, in lexicon order. */
+export const EMOTIONS = Object.keys(LEXICONS);
+
 // ── Bodily Sensation Lexicon ─────────────────────────────────
 // These don't set the emotion but amplify the somatic intensity
 // of particles (larger pulse, stronger vibration effect).
@@ -248,12 +401,316 @@ const BODILY_LEXICON = {
     light: 1.2, weightless: 1.4, floating: 1.3, dizzy: 1.4,
     electric: 1.6, charged: 1.5, pulsing: 1.5, throbbing: 1.4,
     breathless: 1.4, racing_heart: 1.5, trembling: 1.3, shaking: 1.3,
-    pressure: 1.3, sinking: 1.4, lifting: 1.3, expansion: 1.3
+    pressure: 1.3, sinking: 1.4, lifting: 1.3, expansion: 1.3,
+    'heart is racing': 1.5, 'heart racing': 1.5, 'racing heart': 1.5,
+    'lump in my throat': 1.4, 'knot in my stomach': 1.4,
+    'butterflies in my stomach': 1.3, 'tight chest': 1.4, 'chest is tight': 1.4
 };
 
 // ── Tokeniser ────────────────────────────────────────────────
-function tokenise(text) {
-    return text.toLowerCase().match(/\w+/g) || [];
+// Keeps contractions whole ("can't", "i'm") so they can match the
+// negation list; hyphens and underscores split ("self-loving").
+// Languages with elided clitics (French l', j', qu') split those off
+// into their own token: "l'angoisse" → "l" + "angoisse".
+// Stand-alone emoticons (":D") and emoji ("😭") are tokens too; emoji
+// are cleaned of variation selectors and skin tones.
+const TOKEN_PATTERN = new RegExp(
+    `${EMOTICON_PATTERN}|(${EMOJI_PATTERN})|[\\p{L}\\p{N}]+(?:'[\\p{L}]+)*`, 'gu'
+);
+const NO_ELISIONS = new Set();
+
+// Tokens plus each one's start and end offsets into `text`.
+function tokeniseWithOffsets(text, elisions = NO_ELISIONS) {
+    const normalised = text.toLowerCase().replace(/[\u2018\u2019]/g, "'");
+    const tokens = [];
+    const offsets = [];
+    const ends = [];
+    for (const m of normalised.matchAll(TOKEN_PATTERN)) {
+        const end = m.index + m[0].length;
+        const cut = m[0].indexOf("'");
+        if (m[1]) {
+            tokens.push(cleanEmoji(m[0]));
+            offsets.push(m.index);
+            ends.push(end);
+        } else if (cut > 0 && elisions.has(m[0].slice(0, cut))) {
+            tokens.push(m[0].slice(0, cut), m[0].slice(cut + 1));
+            offsets.push(m.index, m.index + cut + 1);
+            ends.push(m.index + cut, end);
+        } else {
+            tokens.push(m[0]);
+            offsets.push(m.index);
+            ends.push(end);
+        }
+    }
+    return { tokens, offsets, ends };
+}
+
+// ── Phrase index ─────────────────────────────────────────────
+// Lexicon keys may be multi-word ('on edge', at_peace). Every key is
+// normalised to space-joined tokens and looked up longest-first, so a
+// phrase is scored as one unit and its single-word parts are skipped.
+function normaliseKey(key, elisions) {
+    return tokeniseWithOffsets(key.replace(/_/g, ' '), elisions).tokens.join(' ');
+}
+
+function buildPhraseIndex(lexicons, bodilyLexicon, vadLexicon, elisions) {
+    /** @type {Map<string, { emotions: Array<{emotion:string, weight:number, vad:number[]}>, bodily: number, symbol?: boolean }>} */
+    const entries = new Map();
+    let maxLength = 1;
+
+    // Each entry carries its own VAD coordinates, falling back to its
+    // category's anchor (see vadLexicon.js)
+    const vadFor = new Map(Object.entries(vadLexicon).map(([k, v]) => [normaliseKey(k, elisions), v]));
+
+    // Emoji and emoticons are keyed exactly as the tokeniser emits them
+    // (no "_" → " " folding: "t_t")
+    const entryFor = (key) => {
+        const phrase = key in SYMBOL_LEXICON ? key : normaliseKey(key, elisions);
+        if (!entries.has(phrase)) entries.set(phrase, { emotions: [], bodily: 0 });
+        maxLength = Math.max(maxLength, phrase.split(' ').length);
+        return entries.get(phrase);
+    };
+
+    for (const [emotion, lexicon] of Object.entries(lexicons)) {
+        for (const [key, weight] of Object.entries(lexicon)) {
+            const entry = entryFor(key);
+            if (key in SYMBOL_LEXICON) entry.symbol = true;
+            entry.emotions.push({
+                emotion, weight,
+                vad: vadFor.get(normaliseKey(key, elisions)) ?? EMOTION_VAD[emotion]
+            });
+        }
+    }
+    for (const [key, mult] of Object.entries(bodilyLexicon)) {
+        entryFor(key).bodily = mult;
+    }
+
+    return { entries, maxLength };
+}
+
+const SYMBOL_LEXICON = { ...EMOJI_LEXICON, ...EMOTICON_LEXICON };
+
+// The symbols' weights regrouped by emotion, { [emotion]: { symbol: weight } }
+const SYMBOL_WEIGHTS = {};
+for (const [symbol, weights] of Object.entries(SYMBOL_LEXICON)) {
+    for (const [emotion, weight] of Object.entries(weights)) {
+        (SYMBOL_WEIGHTS[emotion] ??= {})[symbol] = weight;
+    }
+}
+
+// Emoji and emoticons are the same in every language, so they join
+// each language's lexicons under its own entries: a pack can reweigh
+// them and the personal overlay shifts them like any other word.
+function withSymbols(lexicons) {
+    return Object.fromEntries(
+        Object.entries(lexicons).map(([emotion, words]) => [emotion, { ...SYMBOL_WEIGHTS[emotion], ...words }])
+    );
+}
+
+// ── Inflection fallback ──────────────────────────────────────
+// A single token that misses exactly is retried through its lemma
+// candidates (see morphology.js). Results are memoised per token in
+// the compiled tables; null marks a confirmed miss.
+function lookupLemma(token, compiled) {
+    const { lemmaCache, index } = compiled;
+    if (lemmaCache.has(token)) return lemmaCache.get(token);
+    const lemma = compiled.lemmatise(token).find(c => index.entries.has(c)) ?? null;
+    if (lemmaCache.size > 5000) lemmaCache.clear();
+    lemmaCache.set(token, lemma);
+    return lemma;
+}
+
+// ── Typo fallback ────────────────────────────────────────────
+// A single token that misses both exactly and through its lemma is
+// read as the lexicon word it is a likely typo of (see fuzzyMatch.js).
+// Words the tables use as cues ("nothing", "maybe") are never
+// corrected. Memoised like lemmas. A corrected hit counts for less
+// than one spelt as written.
+const CORRECTION_WEIGHT = 0.7;
+
+function lookupCorrection(token, compiled) {
+    const { fuzzyCache, fuzzy, fuzzyExceptions } = compiled;
+    if (fuzzyCache.has(token)) return fuzzyCache.get(token);
+    const correction = compiled.cueWords.has(token) ? null : findCorrection(token, fuzzy, fuzzyExceptions);
+    if (fuzzyCache.size > 5000) fuzzyCache.clear();
+    fuzzyCache.set(token, correction);
+    return correction;
+}
+
+/**
+ * Longest lexicon phrase starting at tokens[start], or null.
+ * Single tokens fall back to their uninflected lexicon form, then to
+ * the lexicon word they are a likely typo of (`corrected`).
+ * @returns {{ phrase:string, length:number, entry:Object, corrected:boolean } | null}
+ */
+function matchPhraseAt(tokens, start, compiled) {
+    const { entries, maxLength } = compiled.index;
+    const limit = Math.min(maxLength, tokens.length - start);
+    for (let n = limit; n >= 1; n--) {
+        const phrase = n === 1 ? tokens[start] : tokens.slice(start, start + n).join(' ');
+        const entry = entries.get(phrase);
+        if (entry) return { phrase, length: n, entry, corrected: false };
+    }
+
+    const lemma = lookupLemma(tokens[start], compiled);
+    if (lemma) return { phrase: lemma, length: 1, entry: entries.get(lemma), corrected: false };
+
+    const correction = lookupCorrection(tokens[start], compiled);
+    return correction ? { phrase: correction, length: 1, entry: entries.get(correction), corrected: true } : null;
+}
+
+// ── Stretched words ──────────────────────────────────────────
+// "sooooo", "happyyyy", "nooooo" are read as the word they stretch,
+// picking the squeezed spelling the tables know. A triple letter that
+// resolves to nothing ("Schifffahrt") is left alone unless the run is
+// long enough to be deliberate ("whyyyy").
+function unstretchToken(token, compiled) {
+    if (!isStretched(token)) return { token, stretched: false };
+    const known = c => compiled.index.entries.has(c) || compiled.negations.has(c)
+        || compiled.intensifiers.has(c) || lookupLemma(c, compiled) !== null;
+    const found = unstretch(token).find(known);
+    if (found) return { token: found, stretched: true };
+    return { token, stretched: /(\p{L})\1{3,}/u.test(token) };
+}
+
+// ── Negation scope ───────────────────────────────────────────
+// A cue ("not", "never") negates every hit after it up to the end of
+// its clause: punctuation, or a transition word such as "but". Each
+// further cue in the same clause flips the polarity back.
+const CLAUSE_PUNCTUATION = /[,;:()\u2013\u2014.!?…]|\s-\s/;
+
+// clauseStarts[k] is true when a new clause begins at tokens[k].
+function clauseStarts(sentenceText, tokens, offsets, ends, compiled) {
+    return tokens.map((t, k) => k > 0 && (
+        CLAUSE_PUNCTUATION.test(sentenceText.slice(ends[k - 1], offsets[k]))
+        || compiled.transitions.has(t)
+        || compiled.transitions.has(`${t} ${tokens[k + 1]}`)
+    ));
+}
+
+/**
+ * How the open negation scope applies to a hit at tokens[i]:
+ *   'none'        — no cue in this clause
+ *   'negated'     — "not happy": weight goes to the opponents
+ *   'softened'    — "not very happy": an intensifier after the cue halves it
+ *   'double'      — "not … not happy": the emotion stands, dampened
+ *   'superlative' — "never felt so alive": the emotion stands, intensified
+ */
+function negationMode(scope, tokens, i, compiled) {
+    if (!scope) return 'none';
+    const between = tokens.slice(scope.last + 1, i);
+    if (scope.superlative && between.some(t => compiled.comparatives.has(t))) return 'superlative';
+    if (scope.count % 2 === 0) return 'double';
+    if (between.some(t => compiled.intensifiers.has(t))) return 'softened';
+    return 'negated';
+}
+
+// ── Modality ─────────────────────────────────────────────────
+// Token spans of every hedge / conditional marker in `tokens`, as
+// [start, end) pairs. Markers are short, so a straight scan will do.
+function findMarkers(tokens, markers) {
+    const spans = [];
+    for (let i = 0; i < tokens.length; i++) {
+        for (const marker of markers) {
+            if (marker.every((t, k) => tokens[i + k] === t)) spans.push([i, i + marker.length]);
+        }
+    }
+    return spans;
+}
+
+/**
+ * Per-token modality for one sentence: which kinds apply to a hit at
+ * each index, the combined damping factor, and the indices covered by
+ * hedge markers (so "kind of" never scores as tender "kind").
+ */
+function modalityOf(sentenceText, tokens, newClause, compiled) {
+    const clauseOf = [];
+    tokens.forEach((_, k) => clauseOf.push(k === 0 ? 0 : clauseOf[k - 1] + (newClause[k] ? 1 : 0)));
+
+    const hedgeSpans = findMarkers(tokens, compiled.hedges);
+    const markerTokens = new Set(hedgeSpans.flatMap(([start, end]) =>
+        Array.from({ length: end - start }, (_, k) => start + k)));
+
+    // A clause that is nothing but a hedge ("happy, I think") hedges
+    // its neighbours instead
+    const hedgedClauses = new Set();
+    hedgeSpans.forEach(([start]) => {
+        const clause = clauseOf[start];
+        hedgedClauses.add(clause);
+        const alone = tokens.every((_, k) => clauseOf[k] !== clause || markerTokens.has(k));
+        if (alone) { hedgedClauses.add(clause - 1); hedgedClauses.add(clause + 1); }
+    });
+
+    const question = /[?¿]/.test(sentenceText);
+    const conditional = findMarkers(tokens, compiled.conditionals).length > 0;
+
+    const at = tokens.map((_, k) => {
+        const kinds = [];
+        if (hedgedClauses.has(clauseOf[k])) kinds.push('hedge');
+        if (question) kinds.push('question');
+        if (conditional) kinds.push('conditional');
+        const factor = (kinds.includes('hedge') ? HEDGE_DAMPING : 1)
+            * (question ? QUESTION_DAMPING : 1)
+            * (conditional ? CONDITIONAL_DAMPING : 1);
+        return { kinds, factor };
+    });
+
+    return { at, markerTokens };
+}
+
+// Share of the undampened weight that survived modality, 0–1.
+function certaintyOf(evidence) {
+    let said = 0;
+    let firm = 0;
+    evidence.forEach(e => {
+        Object.values(e.contributions).forEach(amount => {
+            said += amount;
+            firm += amount / e.certainty;
+        });
+    });
+    return firm > 0 ? said / firm : 1;
+}
+
+// ── Dimensional scores ───────────────────────────────────────
+// Contribution-weighted mean of the coordinates behind each score: a
+// hit's own VAD for its emotion, the category anchor for the opponents
+// a negation handed weight to. Comparable across texts, unlike the
+// normalised category shares.
+function vadOf(evidence) {
+    const sum = [0, 0, 0];
+    let weight = 0;
+    evidence.forEach(e => {
+        Object.entries(e.contributions).forEach(([emotion, amount]) => {
+            const { valence, arousal, dominance } = emotion === e.lexicon ? e.vad : toVad(EMOTION_VAD[emotion]);
+            [valence, arousal, dominance].forEach((c, k) => { sum[k] += c * amount; });
+            weight += amount;
+        });
+    });
+    return weight > 0 ? toVad(sum.map(c => c / weight)) : { ...NEUTRAL_VAD };
+}
+
+// ── Intensity ────────────────────────────────────────────────
+// How strongly the feeling is expressed, 0–1, independent of which
+// emotion it is: "I'm ok I guess" is faint, "I AM ABSOLUTELY ELATED"
+// is full. Three parts:
+//   strength — mean weight of a hit after intensifiers, typography,
+//              modality and "!!!", against INTENSITY_REFERENCE
+//   boosted  — share of hits intensified, shouted or stretched
+//   density  — emotion words per word of text; one in
+//              INTENSITY_DENSITY words counts as dense
+const INTENSITY_REFERENCE = 5;
+const INTENSITY_DENSITY = 4;
+const INTENSITY_PARTS = { strength: 0.6, boosted: 0.2, density: 0.2 };
+
+function intensityOf(hits, wordCount) {
+    if (hits.length === 0 || wordCount === 0) return 0;
+    const strength = Math.min(1, hits.reduce((s, h) => s + h.strength, 0) / hits.length / INTENSITY_REFERENCE);
+    const boosted = hits.filter(h => h.boosted).length / hits.length;
+    const density = Math.min(1, hits.length * INTENSITY_DENSITY / wordCount);
+    const intensity = INTENSITY_PARTS.strength * strength
+        + INTENSITY_PARTS.boosted * boosted
+        + INTENSITY_PARTS.density * density;
+    return Math.round(Math.min(1, intensity) * 1000) / 1000;
 }
 
 // ── Blend threshold ──────────────────────────────────────────
@@ -267,10 +724,237 @@ const TRANSITION_WORDS = new Set([
     'alternatively', 'instead', 'otherwise', 'even though'
 ]);
 
+// ── Abbreviations ────────────────────────────────────────────
+// Words that end in "." without ending the sentence ("Dr. Lee").
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx'];
+
+function containsTransitionWord(tokens, compiled) {
+    const padded = ` ${tokens.join(' ')} `;
+    for (const word of compiled.transitions) {
+        if (padded.includes(` ${word} `)) return true;
+    }
+    return false;
+}
+
+// ── Active tables ────────────────────────────────────────────
+// The constants above are the built-in English tables; languages/
+// holds the others. Loaded lexicon packs are merged over a copy of
+// their language's tables; the detector only ever reads `active`.
+const BUILT_IN_TABLES = {
+    en: {
+        code: 'en',
+        name: 'English',
+        lexicons: LEXICONS,
+        bodily: BODILY_LEXICON,
+        vad: WORD_VAD,
+        negations: [...NEGATION_WORDS],
+        intensifiers: [...INTENSIFIERS],
+        transitions: [...TRANSITION_WORDS],
+        abbreviations: ABBREVIATIONS,
+        superlativeNegations: SUPERLATIVE_NEGATIONS,
+        comparatives: COMPARATIVES,
+        hedges: HEDGES,
+        conditionals: CONDITIONALS,
+        fuzzyExceptions: [...FUZZY_EXCEPTIONS]
+    },
+    es,
+    fr,
+    de
+};
+
+/** Languages detectEmotion understands, for building a picker. */
+export const SUPPORTED_LANGUAGES = Object.values(BUILT_IN_TABLES)
+    .map(({ code, name }) => ({ code, name }));
+
+function compileTables(tables) {
+    const elisions = new Set(tables.elisions ?? []);
+    const lexicons = withPersonalShifts(withSymbols(tables.lexicons), personal[tables.code], elisions);
+    const index = buildPhraseIndex(lexicons, tables.bodily, tables.vad ?? {}, elisions);
+    return {
+        tables,
+        elisions,
+        negations: new Set(tables.negations),
+        intensifiers: new Set(tables.intensifiers),
+        transitions: new Set(tables.transitions.map(t => normaliseKey(t, elisions))),
+        abbreviations: new Set(tables.abbreviations ?? []),
+        superlativeNegations: new Set(tables.superlativeNegations ?? []),
+        comparatives: new Set(tables.comparatives ?? []),
+        hedges: (tables.hedges ?? []).map(h => normaliseKey(h, elisions).split(' ')),
+        conditionals: (tables.conditionals ?? []).map(c => normaliseKey(c, elisions).split(' ')),
+        index,
+        // English has a full rule set; other languages list their own suffixes
+        lemmatise: tables.inflections
+            ? token => inflectionCandidates(token, tables.inflections)
+            : lemmaCandidates,
+        lemmaCache: new Map(),
+        fuzzy: buildFuzzyIndex(index.entries.keys()),
+        fuzzyExceptions: new Set(tables.fuzzyExceptions ?? []),
+        cueWords: new Set([
+            ...tables.negations, ...tables.intensifiers, ...tables.transitions,
+            ...(tables.comparatives ?? []), ...(tables.hedges ?? []), ...(tables.conditionals ?? [])
+        ]),
+        fuzzyCache: new Map()
+    };
+}
+
+function compileAll() {
+    return Object.fromEntries(
+        Object.entries(BUILT_IN_TABLES).map(([code, tables]) => [code, compileTables(tables)])
+    );
+}
+
+// ── Personal overlay ─────────────────────────────────────────
+// Per-user weight shifts learned from corrections, { [language]:
+// { [emotion]: { word: shift } } }. Applied at compile time on top of
+// the built-in tables and any packs, so it survives pack loads and
+// resets. A word whose weight falls to zero leaves that category.
+// Overlay words are normalised phrases (evidence `match`), so they
+// find keys written either way ("on edge", on_edge).
+let personal = {};
+
+function withPersonalShifts(lexicons, shifts, elisions) {
+    if (!shifts) return lexicons;
+    const shifted = Object.fromEntries(Object.entries(lexicons).map(([emotion, words]) => [emotion, { ...words }]));
+    for (const [emotion, words] of Object.entries(shifts)) {
+        if (!shifted[emotion]) continue;
+        const keyOf = new Map(Object.keys(shifted[emotion]).map(k => [normaliseKey(k, elisions), k]));
+        for (const [word, shift] of Object.entries(words)) {
+            const key = keyOf.get(word) ?? word;
+            const weight = (shifted[emotion][key] ?? 0) + shift;
+            if (weight > 0) shifted[emotion][key] = weight;
+            else delete shifted[emotion][key];
+        }
+    }
+    return shifted;
+}
+
+let active = compileAll();
+
+// Each language's lexicon, as written or inflected ("worries" →
+// worry), for rankLanguages to count hits
+function lexiconWords() {
+    return Object.fromEntries(
+        Object.entries(active).map(([code, compiled]) => [code, {
+            has: token => compiled.index.entries.has(token) || lookupLemma(token, compiled) !== null
+        }])
+    );
+}
+
+/**
+ * Replaces the personal overlay and recompiles every language's tables
+ * with it. Pass {} (or nothing) to drop it.
+ * @param {Object<string, Object<string, Object<string, number>>>} [shifts]
+ *        { [language]: { [emotion]: { word: shift } } }
+ */
+export function setPersonalLexicon(shifts = {}) {
+    personal = shifts;
+    for (const [code, compiled] of Object.entries(active)) {
+        active[code] = compileTables(compiled.tables);
+    }
+}
+
+/**
+ * Validates a lexicon pack and, if it has no errors, applies it over the
+ * active tables. Packs stack: each load builds on the previous ones.
+ * A pack's optional "language" field picks the tables it extends
+ * (default 'en').
+ *
+ * @param {Object} pack                       - Parsed pack JSON (see lexiconPacks.js)
+ * @param {Object} [options]
+ * @param {'merge'|'override'} [options.mode] - Default 'merge'
+ * @returns {{ applied:boolean, errors:string[], warnings:string[] }}
+ */
+export function loadLexiconPack(pack, { mode = 'merge' } = {}) {
+    const language = pack?.language ?? 'en';
+    const current = active[language];
+    if (!current) {
+        return { applied: false, errors: [`language: unsupported language "${language}"`], warnings: [] };
+    }
+
+    const report = validateLexiconPack(pack, current.tables, mode);
+    if (!report.valid) return { applied: false, errors: report.errors, warnings: report.warnings };
+
+    const merged = { ...current.tables, ...mergeLexiconPack(current.tables, pack, mode) };
+    active[language] = compileTables(merged);
+    return { applied: true, errors: [], warnings: report.warnings };
+}
+
+/**
+ * Fetches a pack from a URL (a bundled file under lexicons/ or a
+ * user-provided one) and loads it. Network and JSON failures are
+ * reported as errors rather than thrown.
+ *
+ * @param {string} url
+ * @param {Object} [options] - Passed to loadLexiconPack()
+ * @returns {Promise<{ applied:boolean, errors:string[], warnings:string[] }>}
+ */
+export async function fetchLexiconPack(url, options) {
+    let pack;
+    try {
+        const res = await fetch(url);
+        if (!res.ok) return { applied: false, errors: [`${url}: HTTP ${res.status}`], warnings: [] };
+        pack = await res.json();
+    } catch (err) {
+        return { applied: false, errors: [`${url}: ${err.message}`], warnings: [] };
+    }
+    return loadLexiconPack(pack, options);
+}
+
+/** Drops every loaded pack and restores the built-in tables. */
+export function resetLexicons() {
+    active = compileAll();
+}
+
 // ── Sentential Analysis Helpers ───────────────────────────────
-function splitToSentences(text) {
-    // Regex matches . ! ? followed by space or end of string
-    return text.split(/(?<=[.!?])\s+/).filter(s => s.trim().length > 0);
+/**
+ * Splits on . ! ? … followed by whitespace, keeping each sentence's
+ * character offsets into the original text. A "." after one of the
+ * language's abbreviations does not end the sentence.
+ * @returns {Array<{ text:string, start:number, end:number }>}
+ */
+function splitToSentences(text, abbreviations) {
+    const sentences = [];
+    const push = (start, end) => {
+        const raw = text.slice(start, end);
+        const lead = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (trimmed.length > 0) {
+            sentences.push({ text: trimmed, start: start + lead, end: start + lead + trimmed.length });
+        }
+    };
+
+    const boundary = /(?<=[.!?…])\s+/g;
+    let start = 0;
+    let m;
+    while ((m = boundary.exec(text)) !== null) {
+        const lastWord = text.slice(start, m.index).split(/\s+/).pop().toLowerCase();
+        if (lastWord.endsWith('.') && abbreviations.has(lastWord.slice(0, -1))) continue;
+        push(start, m.index);
+        start = m.index + m[0].length;
+    }
+    push(start, text.length);
+    return sentences;
+}
+
+// ── Blend builder ────────────────────────────────────────────
+// Normalises raw scores and keeps every emotion above BLEND_THRESHOLD,
+// re-weighted to sum to 1. Returns an empty blend for zero scores.
+function buildBlend(scores) {
+    const total = Object.values(scores).reduce((s, v) => s + v, 0);
+    if (total === 0) return { total: 0, top: null, blend: [] };
+
+    const normalised = Object.entries(scores)
+        .map(([e, s]) => ({ emotion: e, weight: s / total }))
+        .sort((a, b) => b.weight - a.weight);
+
+    const top = normalised[0];
+    const above = normalised.filter(e => e.weight >= BLEND_THRESHOLD);
+    const blendTotal = above.reduce((s, e) => s + e.weight, 0);
+    const blend = above.map(e => ({ emotion: e.emotion, weight: e.weight / blendTotal }));
+
+    if (blend.length === 0) blend.push({ emotion: top.emotion, weight: 1 });
+
+    return { total, top, blend };
 }
 
 /**
@@ -282,81 +966,227 @@ function splitToSentences(text) {
  * 3. Apply a "Recency Bias" (sentences at the end of a journal entry 
  *    often represent the current state more than the start).
  * 4. Detect "But/However" shifts to prioritize the new sentiment.
+ *
+ * The per-sentence scores are kept in `timeline`, one entry per sentence:
+ *   { text, start, end,        sentence and its offsets into `text`
+ *     blend,                   the sentence's own blend ([] if no signal)
+ *     vad,                     the sentence's own { valence, arousal, dominance }
+ *     certainty,               0–1 share of its weight left after modality
+ *     positionWeight,          recency weight, 1 → 2 across the passage
+ *     transition,              whether a "but/however" word fired
+ *     emphasis,                typography multiplier, 1 → 1.8 (!!!, CAPS)
+ *     weight }                 final weight applied to the aggregate
+ *
+ * Every lexicon hit is reported in `evidence`, one entry per hit:
+ *   { text, start, end,        surface words and their offsets into `text`
+ *     match,                   the lexicon key it matched ('worry', 'on edge', '😭')
+ *     corrected,               whether `text` is a misspelling read as `match`
+ *     lexicon,                 emotion lexicon it came from, or 'bodily'
+ *     base,                    the lexicon weight before modifiers
+ *     vad,                     the entry's { valence, arousal, dominance } (null for bodily)
+ *     negated, intensified,    whether those modifiers fired
+ *     negation,                scope outcome (see negationMode)
+ *     shouted, stretched,      ALL CAPS / "sooooo" typography on the hit
+ *     modality, certainty,     ['hedge'|'question'|'conditional'] and their damping
+ *     sentenceWeight,          the sentence weight applied (see timeline)
+ *     contributions }          { emotion: amount } added to `scores`
+ *
+ * Misspelt words read as lexicon words are listed once per hit in
+ * `corrections`, for "read 'overwelmed' as 'overwhelmed'":
+ *   { text, start, end,        the word as written and its offsets
+ *     match }                  the lexicon key it was read as
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.language='auto'] - Language code, or 'auto' to detect it
  */
-export function detectEmotion(text) {
+export function detectEmotion(text, { language = 'auto' } = {}) {
     if (!text || text.trim().length === 0) {
-        return { emotion: 'joy', confidence: 0.5, scores: {}, blend: [{ emotion: 'joy', weight: 1 }], bodily: 1, total: 0 };
+        return { emotion: 'joy', confidence: 0.5, scores: {}, blend: [{ emotion: 'joy', weight: 1 }], certainty: 1, intensity: 0, bodily: 1, vad: { ...NEUTRAL_VAD }, total: 0, language: 'en', timeline: [], evidence: [], corrections: [] };
     }
+    if (active[language]) return analyse(text, language);
 
-    const sentences = splitToSentences(text);
-    const aggregatedScores = {
-        joy: 0, calm: 0, anger: 0, fear: 0, anxiety: 0,
-        sadness: 0, shame: 0, gratitude: 0, courage: 0,
-        hopeful: 0, disconnected: 0, stress: 0,
-        powerless: 0, unsettled: 0, tender: 0
-    };
+    // Auto: the likeliest language, unless it finds nothing and a
+    // runner-up with lexicon hits does — one misleading stop word
+    // shouldn't throw the entry away
+    const ranked = rankLanguages(text, Object.keys(active), lexiconWords());
+    const first = analyse(text, ranked[0].code);
+    if (first.total > 0) return first;
+    for (const { code, hits } of ranked.slice(1)) {
+        if (hits === 0) continue;
+        const result = analyse(text, code);
+        if (result.total > 0) return result;
+    }
+    return first;
+}
+
+// detectEmotion() with the language decided
+function analyse(text, code) {
+    const compiled = active[code];
+
+    const sentences = splitToSentences(text, compiled.abbreviations);
+    const aggregatedScores = Object.fromEntries(EMOTIONS.map(e => [e, 0]));
 
     let totalBodilySum = 0;
     let totalBodilyCount = 0;
     let totalWeight = 0;
+    const timeline = [];
+    const evidence = [];
+    const corrections = [];
+    const hits = [];        // { strength, boosted } per emotion hit, for intensityOf
+    let wordCount = 0;
 
     sentences.forEach((sentence, index) => {
-        const tokens = tokenise(sentence);
+        const { tokens: rawTokens, offsets, ends } = tokeniseWithOffsets(sentence.text, compiled.elisions);
+        wordCount += rawTokens.length;
+        const stretched = [];
+        const tokens = rawTokens.map(t => {
+            const u = unstretchToken(t, compiled);
+            stretched.push(u.stretched);
+            return u.token;
+        });
+        const shouted = offsets.map((o, k) => isShouted(sentence.text.slice(o, ends[k])));
+        const consumed = new Set();
+        const newClause = clauseStarts(sentence.text, tokens, offsets, ends, compiled);
+        let scope = null;   // { count, last, superlative } for the open clause
+        const modality = modalityOf(sentence.text, tokens, newClause, compiled);
+        const sentenceEvidence = [];
         const sentenceScores = { ...aggregatedScores }; // Zeroed template
         Object.keys(sentenceScores).forEach(k => sentenceScores[k] = 0);
 
         let sentenceBodilySum = 0;
         let sentenceBodilyCount = 0;
-        let containsTransition = false;
+        const containsTransition = containsTransitionWord(tokens, compiled);
 
-        // 1. Process tokens for this sentence
-        for (let i = 0; i < tokens.length; i++) {
-            const token = tokens[i];
+        // 1. Process tokens for this sentence — phrases consume all their tokens
+        // A single-token cue (including lexicon words like "nothing")
+        // opens or flips the scope; phrases such as 'not sure' do not.
+        const openScope = (k) => {
+            if (!compiled.negations.has(tokens[k])) return;
+            scope = {
+                count: (scope?.count ?? 0) + 1,
+                last: k,
+                superlative: compiled.superlativeNegations.has(tokens[k])
+            };
+        };
 
-            if (TRANSITION_WORDS.has(token)) containsTransition = true;
+        for (let i = 0; i < tokens.length;) {
+            if (newClause[i]) scope = null;
+            if (modality.markerTokens.has(i)) { i++; continue; }
+            const match = matchPhraseAt(tokens, i, compiled);
+            if (!match) { openScope(i); i++; continue; }
 
             const prevOne = i >= 1 ? tokens[i - 1] : '';
             const prevTwo = i >= 2 ? tokens[i - 2] : '';
+            const last = i + match.length - 1;
+            for (let k = i; k <= last; k++) consumed.add(k);
 
-            const isNegated = NEGATION_WORDS.has(prevOne) || NEGATION_WORDS.has(prevTwo);
-            const isIntensified = INTENSIFIERS.has(prevOne) || INTENSIFIERS.has(prevTwo);
-            const intensityMult = isIntensified ? 1.6 : 1.0;
-
-            for (const [emotion, lexicon] of Object.entries(LEXICONS)) {
-                if (token in lexicon) {
-                    const weight = lexicon[token] * intensityMult;
-                    if (isNegated) {
-                        const opponents = Object.keys(sentenceScores).filter(e => e !== emotion);
-                        opponents.forEach(opp => { sentenceScores[opp] += weight * 0.2; });
-                    } else {
-                        sentenceScores[emotion] += weight;
-                    }
+            // Words never negate or intensify an emoji ("not ok 😭")
+            const { symbol } = match.entry;
+            const negation = symbol ? 'none' : negationMode(scope, tokens, i, compiled);
+            const isNegated = negation === 'negated' || negation === 'softened';
+            const isIntensified = negation === 'superlative' || (!symbol && negation !== 'softened'
+                && (compiled.intensifiers.has(prevOne) || compiled.intensifiers.has(prevTwo)));
+            const isShouted = !symbol && shouted.slice(i, last + 1).some(Boolean);
+            const isStretched = stretched.slice(i, last + 1).some(Boolean);
+            const intensityMult = (isIntensified ? 1.6 : 1.0)
+                * (isShouted ? CAPS_BOOST : 1.0)
+                * (isStretched ? STRETCH_BOOST : 1.0)
+                * (negation === 'double' ? DOUBLE_NEGATION : 1.0)
+                * (match.corrected ? CORRECTION_WEIGHT : 1.0)
+                * modality.at[i].factor;
+
+            const start = sentence.start + offsets[i];
+            const end = sentence.start + ends[last];
+            const hit = { text: text.slice(start, end), start, end, match: match.phrase, corrected: match.corrected };
+            if (match.corrected) corrections.push({ text: hit.text, start, end, match: match.phrase });
+
+            for (const { emotion, weight: base, vad: coords } of match.entry.emotions) {
+                const weight = base * intensityMult;
+                const contributions = {};
+                if (isNegated) {
+                    const transfer = weight * NEGATION_TRANSFER
+                        * (negation === 'softened' ? SOFTENED_NEGATION : 1.0);
+                    Object.entries(OPPONENTS[emotion] ?? {}).forEach(([opp, share]) => {
+                        sentenceScores[opp] += transfer * share;
+                        contributions[opp] = transfer * share;
+                    });
+                } else {
+                    sentenceScores[emotion] += weight;
+                    contributions[emotion] = weight;
                 }
+                sentenceEvidence.push({
+                    ...hit, lexicon: emotion, base, vad: toVad(coords),
+                    negated: isNegated, negation, intensified: isIntensified,
+                    shouted: isShouted, stretched: isStretched,
+                    modality: modality.at[i].kinds, certainty: modality.at[i].factor,
+                    contributions
+                });
             }
 
-            if (token in BODILY_LEXICON) {
-                sentenceBodilySum += BODILY_LEXICON[token];
+            if (match.entry.bodily > 0) {
+                sentenceBodilySum += match.entry.bodily;
                 sentenceBodilyCount++;
+                sentenceEvidence.push({
+                    ...hit, lexicon: 'bodily', base: match.entry.bodily, vad: null,
+                    negated: false, negation: 'none', intensified: false,
+                    shouted: false, stretched: false,
+                    modality: modality.at[i].kinds, certainty: modality.at[i].factor,
+                    contributions: {}
+                });
             }
+
+            if (match.length === 1) openScope(i);
+            i += match.length;
         }
 
-        // 2. Apply Recency Bias + Transition Boost
+        // 2. Apply Recency Bias + Transition Boost + Emphasis
         // Later sentences are weighted more (up to 2x weight).
         // Sentences following a "BUT" get a 1.3x boost to their unique signal.
+        // "!!!", shouting and stretched non-lexicon words ("whyyyy") raise
+        // the sentence's intensity (see sentenceEmphasis).
         const positionWeight = 1.0 + (index / (sentences.length || 1)) * 1.0;
         const transitionBoost = containsTransition ? 1.3 : 1.0;
-        const finalSentenceWeight = positionWeight * transitionBoost;
+        const emphasis = sentenceEmphasis(
+            sentence.text,
+            shouted.filter(Boolean).length,
+            stretched.filter((s, k) => s && !consumed.has(k)).length
+        );
+        const finalSentenceWeight = positionWeight * transitionBoost * emphasis;
+
+        sentenceEvidence.filter(e => e.lexicon !== 'bodily').forEach(e => hits.push({
+            strength: Object.values(e.contributions).reduce((sum, v) => sum + v, 0) * emphasis,
+            boosted: e.intensified || e.shouted || e.stretched
+        }));
 
         Object.keys(sentenceScores).forEach(emo => {
             aggregatedScores[emo] += sentenceScores[emo] * finalSentenceWeight;
         });
 
+        sentenceEvidence.forEach(e => {
+            Object.keys(e.contributions).forEach(emo => { e.contributions[emo] *= finalSentenceWeight; });
+            evidence.push({ ...e, sentenceWeight: finalSentenceWeight });
+        });
+
         if (sentenceBodilyCount > 0) {
             totalBodilySum += (sentenceBodilySum / sentenceBodilyCount) * finalSentenceWeight;
             totalBodilyCount += finalSentenceWeight;
         }
 
         totalWeight += finalSentenceWeight;
+
+        timeline.push({
+            text: sentence.text,
+            start: sentence.start,
+            end: sentence.end,
+            blend: buildBlend(sentenceScores).blend,
+            vad: vadOf(sentenceEvidence),
+            certainty: certaintyOf(sentenceEvidence),
+            positionWeight,
+            transition: containsTransition,
+            emphasis,
+            weight: finalSentenceWeight
+        });
     });
 
     // ── Aggregation ──
@@ -366,31 +1196,27 @@ export function detectEmotion(text) {
         ? Math.min(2.2, 0.8 + (totalBodilySum / totalBodilyCount) * 0.7)
         : 1;
 
-    const total = Object.values(aggregatedScores).reduce((s, v) => s + v, 0);
+    const { total, top, blend } = buildBlend(aggregatedScores);
 
     if (total === 0) {
-        return { emotion: 'joy', confidence: 0, scores: aggregatedScores, blend: [], bodily, total: 0 };
+        return { emotion: 'joy', confidence: 0, certainty: 1, intensity: 0, scores: aggregatedScores, blend: [], bodily, vad: vadOf(evidence), total: 0, language: code, timeline, evidence, corrections };
     }
 
-    const normalised = Object.entries(aggregatedScores)
-        .map(([e, s]) => ({ emotion: e, weight: s / total }))
-        .sort((a, b) => b.weight - a.weight);
-
-    const top = normalised[0];
-
-    // Build blend from all emotions above threshold
-    const above = normalised.filter(e => e.weight >= BLEND_THRESHOLD);
-    const blendTotal = above.reduce((s, e) => s + e.weight, 0);
-    const blend = above.map(e => ({ emotion: e.emotion, weight: e.weight / blendTotal }));
-
-    if (blend.length === 0) blend.push({ emotion: top.emotion, weight: 1 });
+    const certainty = certaintyOf(evidence);
 
     return {
         emotion: top.emotion,
-        confidence: top.weight,
+        confidence: top.weight * certainty,
+        certainty,
+        intensity: intensityOf(hits, wordCount),
         scores: aggregatedScores,
         blend,
         bodily,
-        total
+        vad: vadOf(evidence),
+        total,
+        language: code,
+        timeline,
+        evidence,
+        corrections
     };
 }
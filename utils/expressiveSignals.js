@@ -0,0 +1,151 @@
+// =============================================================
+//  expressiveSignals.js
+//  Non-word signals for the emotion detector: emoji, emoticons and
+//  expressive typography (!!!, ALL CAPS, stretched "sooooo").
+//
+//  Emoji and emoticons are scored like lexicon words in every
+//  language. Typography never sets the emotion on its own; it only
+//  scales the intensity of what the words already say.
+// =============================================================
+
+// ── Emoji lexicon ────────────────────────────────────────────
+// { emoji: { emotion: baseWeight } }. Keys are stored without the
+// U+FE0F variation selector or skin-tone modifiers (see cleanEmoji).
+export const EMOJI_LEXICON = {
+    // Joy
+    '😀': { joy: 2 }, '😃': { joy: 2 }, '😄': { joy: 2 }, '😁': { joy: 2 },
+    '😆': { joy: 2 }, '😂': { joy: 2 }, '🤣': { joy: 2.5 }, '😊': { joy: 1.5, tender: 0.5 },
+    '🥳': { joy: 3 }, '🎉': { joy: 2.5 }, '🤩': { joy: 3 }, '😎': { joy: 1.5, courage: 1 },
+    // Calm
+    '😌': { calm: 2.5 }, '🧘': { calm: 2.5 }, '🙂': { calm: 1 }, '🍃': { calm: 1.5 },
+    // Anger
+    '😡': { anger: 3 }, '🤬': { anger: 3 }, '😠': { anger: 2.5 }, '😤': { anger: 2, stress: 0.5 },
+    '👿': { anger: 2.5 }, '🖕': { anger: 2.5 },
+    // Fear
+    '😱': { fear: 3 }, '😨': { fear: 2.5 }, '😧': { fear: 2 }, '🫣': { fear: 1.5, shame: 1 },
+    // Anxiety
+    '😰': { anxiety: 2.5 }, '😟': { anxiety: 2 }, '😬': { anxiety: 1.5 }, '😖': { anxiety: 2 },
+    '😵‍💫': { anxiety: 2, unsettled: 1 },
+    // Sadness
+    '😭': { sadness: 2.5 }, '😢': { sadness: 2.5 }, '😞': { sadness: 2 }, '😔': { sadness: 2 },
+    '☹': { sadness: 2 }, '🙁': { sadness: 1.5 }, '💔': { sadness: 3 }, '🥀': { sadness: 2 },
+    // Shame
+    '😳': { shame: 2 }, '🙈': { shame: 1.5 }, '🤦': { shame: 2 }, '😓': { shame: 1.5, stress: 1 },
+    // Gratitude
+    '🙏': { gratitude: 2.5 }, '💐': { gratitude: 1.5 },
+    // Courage
+    '💪': { courage: 2.5 }, '🔥': { courage: 1.5, joy: 0.5 }, '🦁': { courage: 2 }, '🏆': { courage: 2, joy: 1 },
+    // Hopeful
+    '🤞': { hopeful: 2.5 }, '🌈': { hopeful: 2 }, '🌱': { hopeful: 2 }, '✨': { hopeful: 1.5, joy: 0.5 },
+    '🌅': { hopeful: 2 },
+    // Disconnected
+    '😐': { disconnected: 1.5 }, '😶': { disconnected: 2 }, '😑': { disconnected: 2 }, '🫥': { disconnected: 2.5 },
+    // Stress
+    '😩': { stress: 2 }, '😫': { stress: 2.5 }, '🥵': { stress: 1.5 }, '😮‍💨': { stress: 2 },
+    '😴': { stress: 1 },
+    // Powerless
+    '🫠': { powerless: 2 }, '🏳': { powerless: 1.5 },
+    // Unsettled
+    '😕': { unsettled: 2 }, '🤔': { unsettled: 1.5 }, '😶‍🌫': { unsettled: 2 }, '🫤': { unsettled: 2 },
+    // Tender
+    '❤': { tender: 2 }, '🥰': { tender: 2.5 }, '😍': { tender: 2, joy: 1 }, '🤗': { tender: 2 },
+    '💕': { tender: 2 }, '💖': { tender: 2 }, '💗': { tender: 2 }, '☺': { tender: 1.5 },
+    '🥺': { tender: 1.5, sadness: 1 },
+    // Surprise
+    '😲': { surprise: 2.5 }, '😮': { surprise: 2 }, '😯': { surprise: 2 }, '🤯': { surprise: 2.5 },
+    // Disgust
+    '🤢': { disgust: 2.5 }, '🤮': { disgust: 3 },
+    // Envy
+    '😒': { envy: 1.5, anger: 0.5 },
+    // Nostalgia
+    '🥲': { nostalgia: 1.5, tender: 0.5 }, '📼': { nostalgia: 1.5 },
+    // Boredom
+    '🥱': { boredom: 2.5 }, '🙄': { boredom: 1.5, anger: 0.5 }
+};
+
+// ── Emoticon lexicon ─────────────────────────────────────────
+// Lower-cased, matched only when standing alone between spaces or
+// punctuation, so "http://" never reads as ":/".
+export const EMOTICON_LEXICON = {
+    ':)': { joy: 1.5 }, ':-)': { joy: 1.5 }, '(:': { joy: 1.5 }, '=)': { joy: 1.5 },
+    ':d': { joy: 2.5 }, ':-d': { joy: 2.5 }, 'xd': { joy: 2 }, '^^': { joy: 1.5 },
+    '^_^': { joy: 1.5 }, ';)': { joy: 1 }, ';-)': { joy: 1 },
+    ':(': { sadness: 2 }, ':-(': { sadness: 2 }, ":'(": { sadness: 2.5 }, 't_t': { sadness: 2.5 },
+    ';_;': { sadness: 2.5 }, '</3': { sadness: 2.5 },
+    '>:(': { anger: 2.5 }, '>:-(': { anger: 2.5 }, ':@': { anger: 2 },
+    ':o': { surprise: 1.5 }, ':-o': { surprise: 1.5 },
+    ':/': { unsettled: 1.5 }, ':-/': { unsettled: 1.5 }, ':s': { unsettled: 1.5 },
+    ':|': { disconnected: 1.5 }, ':-|': { disconnected: 1.5 },
+    '<3': { tender: 2 }
+};
+
+// ── Token pattern pieces ─────────────────────────────────────
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const EMOTICON_SOURCE = Object.keys(EMOTICON_LEXICON)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+/** Regex source for a stand-alone emoticon (lower-cased text). */
+export const EMOTICON_PATTERN = `(?<=^|\\s)(?:${EMOTICON_SOURCE})(?=$|\\s|[.,!?])`;
+
+/** Regex source for one emoji, including ZWJ sequences and modifiers. */
+export const EMOJI_PATTERN = '\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier}|\\u200D\\p{Extended_Pictographic})*';
+
+/** Strips variation selectors and skin tones so "💪🏽" looks up "💪". */
+export function cleanEmoji(token) {
+    return token.replace(/[\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '');
+}
+
+// ── Typography ───────────────────────────────────────────────
+/** Intensity multiplier for an ALL CAPS lexicon hit ("I am SO ANGRY"). */
+export const CAPS_BOOST = 1.4;
+
+/** Intensity multiplier for a stretched lexicon hit ("happyyyy"). */
+export const STRETCH_BOOST = 1.3;
+
+// Ceiling for the sentence-level emphasis from punctuation & shouting.
+const MAX_EMPHASIS = 1.8;
+
+/** True for shouted words: 2+ letters, all upper-case ("ANGRY", "CAN'T"). */
+export function isShouted(raw) {
+    return raw.length >= 2 && /\p{L}/u.test(raw) && raw === raw.toUpperCase() && raw !== raw.toLowerCase();
+}
+
+/** True when a letter repeats 3+ times in a row ("sooooo", "nooo"). */
+export function isStretched(token) {
+    return /(\p{L})\1{2,}/u.test(token);
+}
+
+/**
+ * Un-stretched spellings of a token, most likely first: runs squeezed
+ * to two letters ("goooood" → "good"), then to one ("sooooo" → "so").
+ */
+export function unstretch(token) {
+    const double = token.replace(/(\p{L})\1{2,}/gu, '$1$1');
+    const single = token.replace(/(\p{L})\1{2,}/gu, '$1');
+    return double === single ? [single] : [double, single];
+}
+
+/**
+ * Sentence-level emphasis from expressive typography, 1 → 1.8:
+ *   • runs of "!" (or "?!") beyond the first add 0.15 each
+ *   • two or more shouted words add 0.2
+ *   • each stretched word that is not itself a lexicon hit adds 0.1
+ *
+ * @param {string} sentence     - Raw sentence text
+ * @param {number} shouted      - Count of ALL CAPS words in it
+ * @param {number} stretched    - Count of stretched non-lexicon words
+ * @returns {number}
+ */
+export function sentenceEmphasis(sentence, shouted, stretched) {
+    let emphasis = 1;
+    for (const run of sentence.match(/[!?]*![!?]*/g) || []) {
+        const bangs = (run.match(/!/g) || []).length;
+        if (run.length > 1) emphasis += 0.15 * Math.max(bangs - 1, 1);
+    }
+    if (shouted >= 2) emphasis += 0.2;
+    emphasis += 0.1 * stretched;
+    return Math.min(MAX_EMPHASIS, emphasis);
+}
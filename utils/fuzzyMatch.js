@@ -0,0 +1,147 @@
+// =============================================================
+//  fuzzyMatch.js
+//  Typo tolerance for the lexicon lookup. Journals are written fast
+//  on phones, so "anxous", "overwelmed", "gratefull" and "lonley"
+//  should still read as the words they were meant to be.
+//
+//  A token that misses exactly (and through its lemma) is compared to
+//  the single-word lexicon keys by edit distance, counting only the
+//  slips a thumb makes:
+//    • a dropped letter, except the last ("close" is not "closed")
+//    • a doubled letter, or an extra one from a neighbouring key
+//    • a neighbouring key hit instead ("anxioys")
+//    • two letters swapped ("lonley")
+//  Further guards keep real words from being "corrected" into
+//  emotion words:
+//    • tokens and keys under MIN_FUZZY_LENGTH letters never match
+//    • 1 edit up to 8 letters, 2 edits from 9 letters
+//    • the first letter must agree
+//    • the nearest key must be unique — a tie is left alone
+//    • listed exceptions ("tried" is not "tired") never match; each
+//      language's tables may carry their own (fuzzyExceptions)
+// =============================================================
+
+export const MIN_FUZZY_LENGTH = 5;
+
+// ── Keyboard neighbours ──────────────────────────────────────
+// QWERTY rows and how far each is shifted right of the one above;
+// letters outside them (é, ß) only ever match exactly.
+const KEY_ROWS = [['qwertyuiop', 0], ['asdfghjkl', 0.25], ['zxcvbnm', 0.75]];
+
+const NEIGHBOURS = (() => {
+    const keys = KEY_ROWS.flatMap(([row, shift], r) => [...row].map((ch, c) => ({ ch, r, x: c + shift })));
+    return new Map(keys.map(k => [k.ch, new Set(keys
+        .filter(o => o !== k && (o.r === k.r ? Math.abs(o.x - k.x) === 1 : Math.abs(o.r - k.r) === 1 && Math.abs(o.x - k.x) < 1))
+        .map(o => o.ch))]));
+})();
+
+const isNeighbour = (a, b) => NEIGHBOURS.get(a)?.has(b) ?? false;
+
+// ── Opt-out list ─────────────────────────────────────────────
+// Common English words one slip away from a lexicon key, found by
+// running everyday and technical vocabulary through findCorrection.
+export const FUZZY_EXCEPTIONS = new Set([
+    'bring', 'consented', 'courteous', 'cover', 'dating', 'deleted',
+    'eater', 'encourage', 'filed', 'grade', 'grave', 'mover', 'moves',
+    'patent', 'price', 'sacred', 'scarred', 'shake', 'simulated', 'started',
+    'string', 'tried', 'unbounded'
+]);
+
+/**
+ * Number of typing slips (see above) that turn the intended `word`
+ * into the `typed` one, stopping early once it exceeds `max`.
+ * @param {string} typed
+ * @param {string} word
+ * @param {number} max
+ * @returns {number} the count, or max + 1 when it is further
+ */
+export function editDistance(typed, word, max) {
+    if (Math.abs(typed.length - word.length) > max) return max + 1;
+    const far = max + 1;
+
+    // An extra letter typed at typed[i - 1]: a repeat, or a neighbour
+    // of the letter before or after it
+    const strayAt = i => {
+        const ch = typed[i - 1];
+        const around = [typed[i - 2], typed[i]].filter(Boolean);
+        return around.some(n => n === ch || isNeighbour(n, ch));
+    };
+
+    let prevPrev = null;
+    let prev = Array.from({ length: word.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= typed.length; i++) {
+        const t = typed[i - 1];
+        const extra = strayAt(i) ? 1 : far;
+        const row = [prev[0] + extra];
+        let rowMin = row[0];
+        for (let j = 1; j <= word.length; j++) {
+            const w = word[j - 1];
+            let d = prev[j] + extra;                                                   // extra letter
+            if (j < word.length || i < typed.length) d = Math.min(d, row[j - 1] + 1);   // dropped letter
+            if (t === w) d = Math.min(d, prev[j - 1]);
+            else if (isNeighbour(t, w)) d = Math.min(d, prev[j - 1] + 1);             // wrong key
+            if (prevPrev && j > 1 && t === word[j - 2] && typed[i - 2] === w) {
+                d = Math.min(d, prevPrev[j - 2] + 1);                                  // swapped pair
+            }
+            row.push(Math.min(d, far));
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return far;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[word.length];
+}
+
+/** Edits allowed for a token of this many characters (0 = exact only). */
+export function maxEditsFor(length) {
+    if (length < MIN_FUZZY_LENGTH) return 0;
+    return length >= 9 ? 2 : 1;
+}
+
+/**
+ * Groups the candidate keys by first letter. Only single words made
+ * of letters qualify: phrases, emoji and emoticons match exactly.
+ * @param {Iterable<string>} keys
+ * @returns {Map<string, string[]>}
+ */
+export function buildFuzzyIndex(keys) {
+    const byInitial = new Map();
+    for (const key of keys) {
+        if (key.length < MIN_FUZZY_LENGTH || !/^\p{L}+$/u.test(key)) continue;
+        const initial = key[0];
+        if (!byInitial.has(initial)) byInitial.set(initial, []);
+        byInitial.get(initial).push(key);
+    }
+    return byInitial;
+}
+
+/**
+ * The one key within reach of `token`, or null when none is or the
+ * nearest distance is shared by two keys.
+ * @param {string} token
+ * @param {Map<string, string[]>} fuzzyIndex - see buildFuzzyIndex
+ * @param {Set<string>} [exceptions]
+ * @returns {string|null}
+ */
+export function findCorrection(token, fuzzyIndex, exceptions = FUZZY_EXCEPTIONS) {
+    const max = maxEditsFor(token.length);
+    if (max === 0 || exceptions.has(token) || !/^\p{L}+$/u.test(token)) return null;
+
+    let best = null;
+    let bestDistance = max + 1;
+    let tied = false;
+    for (const key of fuzzyIndex.get(token[0]) ?? []) {
+        const limit = Math.min(max, maxEditsFor(key.length));
+        const d = editDistance(token, key, limit);
+        if (d > limit) continue;
+        if (d < bestDistance) {
+            best = key;
+            bestDistance = d;
+            tied = false;
+        } else if (d === bestDistance) {
+            tied = true;
+        }
+    }
+    return best && !tied ? best : null;
+}
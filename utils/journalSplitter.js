@@ -0,0 +1,107 @@
+// =============================================================
+//  journalSplitter.js
+//  Splits an exported journal (plain text or markdown) into its
+//  entries, for batch analysis with detectEmotion().
+//
+//  An entry starts at:
+//    • a date heading   "## 2023-04-03", "# Monday, April 3rd 2023"
+//    • a date line      "3 April 2023", "2023-04-03:", "**03/04/2023**"
+//    • a separator      ---, ***, ___, ===, * * *
+//  Text with none of these is a single entry.
+// =============================================================
+
+const MONTHS = [
+    'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+    'jul', 'aug', 'sep', 'oct', 'nov', 'dec'
+];
+
+const WEEKDAY = '(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\\s+)?';
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Each pattern captures enough to build an ISO date, or null for the
+// day/month order a numeric date cannot settle (03/04/2023).
+const DATE_PATTERNS = [
+    { re: /(\d{4})-(\d{2})-(\d{2})/, iso: m => `${m[1]}-${m[2]}-${m[3]}` },
+    { re: new RegExp(`${WEEKDAY}${MONTH}\\s+${DAY},?\\s+(\\d{4})`, 'i'), iso: m => isoFrom(m[3], m[1], m[2]) },
+    { re: new RegExp(`${WEEKDAY}${DAY}\\s+(?:of\\s+)?${MONTH},?\\s+(\\d{4})`, 'i'), iso: m => isoFrom(m[3], m[2], m[1]) },
+    { re: /\b\d{1,2}[/.]\d{1,2}[/.]\d{2,4}\b/, iso: () => null }
+];
+
+const HEADING = /^#{1,6}\s+(.*?)\s*#*$/;
+const SEPARATOR = /^(?:[-*_=]\s*){3,}$/;
+
+function isoFrom(year, monthName, day) {
+    const month = MONTHS.indexOf(monthName.toLowerCase().slice(0, 3)) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// { iso } when `text` contains a date, else null.
+function findDate(text) {
+    for (const { re, iso } of DATE_PATTERNS) {
+        const m = text.match(re);
+        if (m) return { iso: iso(m) };
+    }
+    return null;
+}
+
+// A line that is nothing but a date, optionally bold or followed by ":"
+function dateLine(line) {
+    const bare = line.replace(/^\*\*(.*)\*\*$/, '$1').replace(/:$/, '').trim();
+    const date = findDate(bare);
+    if (!date) return null;
+    const rest = DATE_PATTERNS.reduce((s, { re }) => s.replace(re, ''), bare);
+    return /[\p{L}\p{N}]/u.test(rest.replace(/^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?/i, ''))
+        ? null
+        : { ...date, text: bare };
+}
+
+/**
+ * Splits a journal into entries.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'auto'|'dates'|'separators'|'none'} [options.split='auto']
+ *        auto uses both date headings and separators
+ * @returns {Array<{ date:string|null, heading:string|null, line:number, text:string }>}
+ *        date is ISO (YYYY-MM-DD) when it could be read, heading the raw
+ *        date heading, line the 1-based line the entry starts on
+ */
+export function splitJournal(text, { split = 'auto' } = {}) {
+    const useDates = split === 'auto' || split === 'dates';
+    const useSeparators = split === 'auto' || split === 'separators';
+
+    const entries = [];
+    let current = { date: null, heading: null, line: 1, lines: [] };
+    // A title-only stretch ("# My Journal") is not an entry
+    const flush = () => {
+        const body = current.lines.join('\n').trim();
+        const titleOnly = body.split('\n').every(l => HEADING.test(l.trim()) || !l.trim());
+        if (!titleOnly) entries.push({ date: current.date, heading: current.heading, line: current.line, text: body });
+    };
+
+    (text ?? '').split(/\r?\n/).forEach((raw, k) => {
+        const line = raw.trim();
+
+        if (useSeparators && SEPARATOR.test(line)) {
+            flush();
+            current = { date: null, heading: null, line: k + 2, lines: [] };
+            return;
+        }
+
+        if (useDates) {
+            const heading = line.match(HEADING);
+            const date = heading ? findDate(heading[1]) : dateLine(line);
+            if (date) {
+                flush();
+                current = { date: date.iso, heading: heading ? heading[1] : date.text, line: k + 1, lines: [] };
+                return;
+            }
+        }
+
+        current.lines.push(raw);
+    });
+
+    flush();
+    return entries;
+}
@@ -0,0 +1,112 @@
+// =============================================================
+//  languageDetector.js
+//  Guesses which supported language a passage is written in, so
+//  detectEmotion can pick the matching lexicon tables.
+//
+//  Scoring is deliberately simple: each token found in a language's
+//  stop-word list or emotion lexicon scores 1, and characters unique
+//  to a language (ñ ¿ ¡ / ß ä ö / ç œ è) add a small bonus. An elided
+//  article or pronoun (j', l', qu'…) counts as a stop word of its own,
+//  so "j'ai peur" scores both halves. English, the default, starts
+//  with a lead of DEFAULT_LEAD, so a single word two languages share
+//  ("no worries") doesn't switch it; a lone "triste" still does.
+// =============================================================
+
+// ── Stop words ───────────────────────────────────────────────
+// High-frequency function words. Emotion words are scored from the
+// lexicons instead (see detectLanguage), so a one-word entry like
+// "triste" still gets a guess.
+const STOP_WORDS = {
+    en: [
+        'the', 'and', 'i', 'is', 'it', 'to', 'of', 'a', 'in', 'that', 'my',
+        'me', 'was', 'so', 'but', 'with', 'for', 'this', 'am', "i'm", 'have',
+        'just', 'feel', 'today', 'not', 'be', 'at', 'what', 'about', 'you'
+    ],
+    es: [
+        'el', 'la', 'los', 'las', 'y', 'que', 'de', 'en', 'un', 'una', 'es',
+        'me', 'mi', 'yo', 'por', 'con', 'para', 'pero', 'muy', 'estoy',
+        'siento', 'hoy', 'no', 'lo', 'se', 'del', 'al', 'como', 'está', 'porque'
+    ],
+    fr: [
+        'le', 'la', 'les', 'et', 'je', 'de', 'des', 'un', 'une', 'est', 'que',
+        'qui', 'en', 'pas', 'ne', 'suis', 'me', 'mon', 'ma', 'pour', 'dans',
+        'avec', 'mais', 'très', 'sens', "aujourd'hui", 'du', 'au', 'ce', 'il',
+        "j'", "l'", "qu'", "c'", "d'", "n'", "m'", "s'"
+    ],
+    de: [
+        'der', 'die', 'das', 'und', 'ich', 'ist', 'nicht', 'ein', 'eine',
+        'mich', 'mir', 'bin', 'zu', 'mit', 'auf', 'sehr', 'aber', 'fühle',
+        'heute', 'es', 'den', 'dem', 'von', 'auch', 'so', 'wie', 'habe', 'war'
+    ]
+};
+
+// Characters that only (or mostly) appear in one supported language.
+const CHARACTER_HINTS = {
+    es: /[ñ¿¡]/g,
+    fr: /[çœèêëîïûùâ]/g,
+    de: /[ßäöü]/g
+};
+
+const CHARACTER_BONUS = 0.5;
+const LEXICON_HIT = 1;
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_LEAD = 0.75;
+
+const STOP_SETS = Object.fromEntries(
+    Object.entries(STOP_WORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+/**
+ * Scores every candidate language for `text`, likeliest first.
+ * `hits` counts the tokens found in that language's emotion lexicon,
+ * so a caller can tell which runners-up would find anything at all.
+ *
+ * @param {string} text
+ * @param {string[]} [candidates] - Language codes to choose between (default: all)
+ * @param {Object} [lexicons]     - { [code]: words } where `words.has(token)`
+ *                                  says whether a token (as written or
+ *                                  inflected) is in that language's emotion
+ *                                  lexicon
+ * @returns {Array<{ code:string, score:number, hits:number }>}
+ */
+export function rankLanguages(text, candidates = Object.keys(STOP_WORDS), lexicons = {}) {
+    const lower = (text ?? '').toLowerCase().replace(/[‘’]/g, "'");
+    const tokens = lower.match(/[\p{L}']+/gu) || [];
+
+    const ranked = [];
+    candidates.forEach(code => {
+        const stops = STOP_SETS[code];
+        if (!stops) return;
+        const words = lexicons[code];
+        let score = code === DEFAULT_LANGUAGE ? DEFAULT_LEAD : 0;
+        let hits = 0;
+        tokens.forEach(t => {
+            // "j'ai" → "j'" + "ai"
+            const cut = t.indexOf("'");
+            if (cut > 0 && stops.has(t.slice(0, cut + 1))) {
+                score++;
+                t = t.slice(cut + 1);
+            }
+            if (stops.has(t)) score++;
+            if (words?.has(t)) hits++;
+        });
+        const hints = CHARACTER_HINTS[code] ? (lower.match(CHARACTER_HINTS[code]) || []).length : 0;
+        score += hits * LEXICON_HIT + hints * CHARACTER_BONUS;
+        ranked.push({ code, score, hits });
+    });
+
+    // Stable: ties keep the candidates' order
+    return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Returns the most likely language code for `text`.
+ *
+ * @param {string} text
+ * @param {string[]} [candidates] - Language codes to choose between (default: all)
+ * @param {Object} [lexicons]     - As for rankLanguages()
+ * @returns {string}              - e.g. 'en', 'es', 'fr', 'de'
+ */
+export function detectLanguage(text, candidates, lexicons) {
+    return rankLanguages(text, candidates, lexicons)[0]?.code ?? DEFAULT_LANGUAGE;
+}
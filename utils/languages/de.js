@@ -0,0 +1,157 @@
+// =============================================================
+//  languages/de.js
+//  German tables for the emotion detector. Same shape as the
+//  built-in English tables in emotionDetector.js.
+//
+//  Adjectives are listed uninflected; the `inflections` rules let
+//  "traurige", "glücklichen" and "müdes" reach their base form.
+// =============================================================
+
+export default {
+    code: 'de',
+    name: 'Deutsch',
+
+    negations: [
+        'nicht', 'kein', 'keine', 'keinen', 'keiner', 'nie', 'niemals',
+        'nichts', 'ohne', 'kaum', 'weder'
+    ],
+
+    intensifiers: [
+        'sehr', 'so', 'total', 'völlig', 'extrem', 'wirklich', 'echt',
+        'ziemlich', 'unglaublich', 'besonders', 'richtig', 'voll',
+        'absolut', 'zutiefst', 'mega', 'super'
+    ],
+
+    // "Nie so glücklich gewesen" — never + comparative is superlative
+    superlativeNegations: ['nie', 'niemals'],
+    comparatives: ['so', 'mehr'],
+
+    transitions: [
+        'aber', 'jedoch', 'trotzdem', 'dennoch', 'obwohl', 'allerdings',
+        'andererseits', 'stattdessen'
+    ],
+
+    // Hedges soften their clause; conditionals the whole sentence.
+    // "wenn" is left out: it is as often "when" as "if".
+    hedges: [
+        'vielleicht', 'wohl', 'eher', 'ein bisschen', 'ein wenig', 'etwas',
+        'ich glaube', 'ich denke', 'wahrscheinlich', 'irgendwie'
+    ],
+    conditionals: ['falls', 'sofern', 'was wenn'],
+
+    abbreviations: ['z.b', 'usw', 'bzw', 'dr', 'hr', 'fr', 'ca', 'evtl', 'ggf', 'd.h'],
+
+    inflections: [
+        ['en', ''], ['em', ''], ['er', ''], ['es', ''], ['e', ''], ['n', ''], ['s', '']
+    ],
+
+    lexicons: {
+        joy: {
+            glücklich: 2, glück: 2, freude: 3, froh: 2, fröhlich: 2.5,
+            begeistert: 2.5, aufgeregt: 2, toll: 2, wunderbar: 2,
+            super: 1.5, genial: 2, lachen: 1.5, lebendig: 2, euphorisch: 3,
+            'im siebten himmel': 3, gut: 1
+        },
+        calm: {
+            ruhig: 2.5, ruhe: 2, gelassen: 3, entspannt: 2.5, friedlich: 2.5,
+            frieden: 2, ausgeglichen: 2.5, zufrieden: 2, geduldig: 2,
+            geerdet: 2.5, 'im reinen': 2.5
+        },
+        anger: {
+            wütend: 2.5, wut: 2.5, zorn: 3, sauer: 2, ärgerlich: 2,
+            verärgert: 2, genervt: 1.5, gereizt: 1.5, frustriert: 1.5,
+            hass: 2.5, hasse: 2.5, empört: 2.5, stinksauer: 3,
+            'die nase voll': 2.5
+        },
+        fear: {
+            angst: 2.5, ängstlich: 2.5, furcht: 2.5, panik: 3,
+            erschrocken: 2.5, verängstigt: 3, besorgt: 2, sorgen: 2,
+            nervös: 2, bedroht: 2, unsicher: 1.5, verletzlich: 1.5
+        },
+        anxiety: {
+            unruhig: 2, rastlos: 2, angespannt: 2, anspannung: 2,
+            überfordert: 2.5, gestresst: 2.5, beklommen: 2.5,
+            verwirrt: 1.5, zweifel: 1.5, 'herz rast': 2
+        },
+        sadness: {
+            traurig: 2, traurigkeit: 2, trauer: 2.5, deprimiert: 2.5,
+            depression: 2.5, weinen: 2, tränen: 1.5,
+            verzweifelt: 3, verzweiflung: 3,
+            niedergeschlagen: 2.5, enttäuscht: 2, hoffnungslos: 2.5,
+            'gebrochenes herz': 3, 'kloß im hals': 2.5
+        },
+        shame: {
+            scham: 3, schäme: 3, peinlich: 2.5, beschämt: 3, schuldig: 2.5,
+            schuld: 2.5, gedemütigt: 3, versagt: 2, versager: 2.5,
+            dumm: 1.5, reue: 2.5
+        },
+        gratitude: {
+            dankbar: 3, dankbarkeit: 3, danke: 1.5, gesegnet: 2.5,
+            glücklicherweise: 1.5, berührt: 2, gerührt: 2, schätze: 2
+        },
+        courage: {
+            mutig: 2.5, mut: 3, stark: 2, stärke: 2, selbstbewusst: 2.5,
+            stolz: 2, entschlossen: 2.5, fähig: 2, kraft: 2, tapfer: 2.5
+        },
+        hopeful: {
+            hoffnung: 2.5, hoffnungsvoll: 3, hoffe: 2, optimistisch: 2.5,
+            zuversichtlich: 2.5, zuversicht: 2.5, 'freue mich': 2
+        },
+        disconnected: {
+            leer: 2, leere: 2, taub: 2.5, distanziert: 2.5, abgestumpft: 2.5,
+            gleichgültig: 2.5,
+            'egal': 1.5
+        },
+        stress: {
+            stress: 2, erschöpft: 2.5, ausgebrannt: 3, burnout: 3,
+            überlastet: 2.5, druck: 2, müde: 1.5, kaputt: 2,
+            'am ende': 2.5, fertig: 1.5
+        },
+        powerless: {
+            machtlos: 3, hilflos: 2.5, ohnmächtig: 2.5, gefangen: 2.5,
+            ausweglos: 2.5, besiegt: 2.5, resigniert: 2.5, aufgegeben: 2
+        },
+        unsettled: {
+            verunsichert: 2.5, ungewiss: 2, ungewissheit: 2, skeptisch: 2.5,
+            irritiert: 2, seltsam: 1.5, komisch: 1.5, 'weiß nicht': 1.5
+        },
+        tender: {
+            liebe: 2, liebevoll: 2.5, zärtlich: 2.5, zärtlichkeit: 2.5,
+            geborgen: 2.5, verbunden: 2.5, nah: 1.5, mitgefühl: 2.5,
+            umarmung: 2, 'hab dich lieb': 2.5
+        },
+        surprise: {
+            überrascht: 2.5, überraschung: 2, erstaunt: 2.5, verblüfft: 3,
+            fassungslos: 2.5, sprachlos: 2.5, schockiert: 2.5, unerwartet: 1.5,
+            'kaum zu glauben': 2
+        },
+        disgust: {
+            ekel: 3, angeekelt: 3, eklig: 2.5, widerlich: 2.5,
+            abstoßend: 2.5, abscheulich: 2.5, igitt: 2, 'ekelt mich': 3
+        },
+        envy: {
+            neid: 3, neidisch: 3, eifersucht: 2.5, eifersüchtig: 2.5,
+            missgunst: 2.5, 'vergleiche mich': 2
+        },
+        nostalgia: {
+            nostalgie: 3, nostalgisch: 3, wehmut: 2.5, wehmütig: 2.5,
+            erinnerungen: 1.5, kindheit: 1.5, bittersüß: 2.5, 'gute alte zeit': 3,
+            'damals': 1.5
+        },
+        boredom: {
+            gelangweilt: 3, langeweile: 3, langweilig: 2.5, öde: 2.5,
+            eintönig: 2.5, monoton: 2.5, 'nichts zu tun': 2.5
+        },
+        loneliness: {
+            einsam: 3, einsamkeit: 3, allein: 2, isoliert: 2.5,
+            verlassen: 2.5, ausgeschlossen: 2.5, 'ganz allein': 3,
+            'niemand zum reden': 3
+        }
+    },
+
+    bodily: {
+        heiß: 1.5, brennen: 1.5, kalt: 1.2, zittern: 1.3, zittrig: 1.3,
+        schwer: 1.4, schwere: 1.4, schwindelig: 1.4, kribbeln: 1.5,
+        enge: 1.3, 'herz rast': 1.5, 'kloß im hals': 1.4, leicht: 1.2
+    }
+};
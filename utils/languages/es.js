@@ -0,0 +1,163 @@
+// =============================================================
+//  languages/es.js
+//  Spanish tables for the emotion detector. Same shape as the
+//  built-in English tables in emotionDetector.js.
+//
+//  Words are listed in their masculine singular form; the
+//  `inflections` rules let "contenta", "tristes" and "felices"
+//  reach "contento", "triste" and "feliz".
+// =============================================================
+
+export default {
+    code: 'es',
+    name: 'Español',
+
+    negations: [
+        'no', 'nunca', 'jamás', 'jamas', 'ni', 'sin', 'nada', 'ninguno',
+        'ninguna', 'tampoco', 'apenas'
+    ],
+
+    intensifiers: [
+        'muy', 'tan', 'tanto', 'demasiado', 'super', 'súper', 'realmente',
+        'totalmente', 'completamente', 'profundamente', 'increíblemente',
+        'sumamente', 'bastante', 'extremadamente', 're', 'mega'
+    ],
+
+    // "Nunca me he sentido tan vivo" — never + comparative is superlative
+    superlativeNegations: ['nunca', 'jamás', 'jamas'],
+    comparatives: ['tan', 'tanto', 'más', 'mas'],
+
+    transitions: [
+        'pero', 'sin embargo', 'aunque', 'no obstante', 'en cambio', 'aun así'
+    ],
+
+    // Hedges soften their clause; conditionals the whole sentence
+    hedges: [
+        'quizás', 'quizá', 'tal vez', 'a lo mejor', 'creo que', 'supongo',
+        'un poco', 'probablemente', 'puede que', 'como que'
+    ],
+    conditionals: ['si', 'a menos que', 'en caso de que', 'y si'],
+
+    // Words followed by "." that do not end a sentence
+    abbreviations: ['sr', 'sra', 'srta', 'dr', 'dra', 'etc', 'ud', 'uds', 'p.ej'],
+
+    // [suffix, replacement] — tried longest first on lexicon misses
+    inflections: [
+        ['ces', 'z'], ['os', 'o'], ['as', 'o'], ['a', 'o'], ['es', ''], ['s', '']
+    ],
+
+    lexicons: {
+        joy: {
+            feliz: 2, felicidad: 2, alegre: 2, alegría: 3, contento: 2,
+            emocionado: 2, entusiasmado: 2.5, encantado: 2.5, eufórico: 3,
+            genial: 2, increíble: 2, maravilloso: 2, fantástico: 2,
+            divertido: 1.5, reír: 1.5, risa: 1.5, sonrisa: 1.5, vivo: 2,
+            'de maravilla': 2.5, 'en las nubes': 2.5, bien: 1
+        },
+        calm: {
+            tranquilo: 2.5, calma: 2.5, paz: 2, sereno: 3, serenidad: 3,
+            relajado: 2.5, relajada: 2.5, descansado: 2, equilibrado: 2,
+            'en paz': 2.5, presente: 1.5, aceptación: 2, paciente: 2
+        },
+        anger: {
+            enojado: 2, enfadado: 2, furioso: 3, rabia: 3, ira: 3,
+            molesto: 1.5, irritado: 1.5, frustrado: 1.5, frustración: 1.5,
+            odio: 2.5, odiar: 2.5, cabreado: 2.5, harto: 2, indignado: 2.5,
+            resentido: 2, 'hasta las narices': 2.5
+        },
+        fear: {
+            miedo: 2.5, asustado: 2.5, aterrado: 3, aterrorizado: 3,
+            pánico: 3, terror: 3, temor: 2, temeroso: 2.5, nervioso: 2,
+            preocupado: 2, inseguro: 1.5, vulnerable: 1.5, amenazado: 2
+        },
+        anxiety: {
+            ansioso: 2.5, ansiedad: 2.5, agobiado: 2.5, abrumado: 2.5,
+            inquieto: 2, intranquilo: 2, tenso: 2, tensión: 2,
+            angustia: 2.5, angustiado: 2.5, dudas: 1.5, confundido: 1.5,
+            'nudo en el estómago': 2, 'no puedo respirar': 2
+        },
+        sadness: {
+            triste: 2, tristeza: 2, deprimido: 2.5, depresión: 2.5,
+            llorar: 2, llorando: 2, lágrimas: 1.5,
+            desolado: 3, desconsolado: 3, melancolía: 2, pena: 2,
+            dolor: 1.5, roto: 1.5, desanimado: 2, decepcionado: 2,
+            'corazón roto': 3, 'nudo en la garganta': 2.5
+        },
+        shame: {
+            vergüenza: 3, avergonzado: 3, culpa: 2.5, culpable: 2.5,
+            humillado: 3, ridículo: 2, fracaso: 2, arrepentido: 2.5,
+            inútil: 2, estúpido: 1.5, 'me da vergüenza': 3
+        },
+        gratitude: {
+            agradecido: 3, gratitud: 3, gracias: 1.5, bendecido: 2.5,
+            afortunado: 2, suerte: 1.5, aprecio: 2.5, valoro: 2,
+            conmovido: 2
+        },
+        courage: {
+            valiente: 2.5, valentía: 2.5, coraje: 3, fuerte: 2, fuerza: 2,
+            capaz: 2, seguro: 1.5, confianza: 2, orgulloso: 2,
+            decidido: 2.5, determinado: 2.5, poderoso: 2.5
+        },
+        hopeful: {
+            esperanza: 2.5, esperanzado: 3, optimista: 2.5, ilusión: 2.5,
+            ilusionado: 2.5, 'ojalá': 2, animado: 2, 'con ganas': 2
+        },
+        disconnected: {
+            vacío: 2, desconectado: 3, distante: 2,
+            apático: 2.5, indiferente: 2.5, entumecido: 2.5,
+            'me da igual': 2.5
+        },
+        stress: {
+            estresado: 2.5, estrés: 2, agotado: 2.5, quemado: 2.5,
+            exhausto: 2.5, presión: 2, saturado: 2.5, cansado: 1.5,
+            'no doy más': 3
+        },
+        powerless: {
+            impotente: 3, indefenso: 2.5, atrapado: 2.5, derrotado: 2.5,
+            incapaz: 2.5, resignado: 2.5, perdido: 1.5, 'sin salida': 2.5
+        },
+        unsettled: {
+            inseguridad: 2, incertidumbre: 2, dudoso: 2, desconcertado: 2.5,
+            raro: 1.5, extraño: 1.5, confuso: 2, 'no sé': 1.5
+        },
+        tender: {
+            amor: 2, cariño: 2.5, cariñoso: 2.5, ternura: 2.5, tierno: 2.5,
+            querido: 2, compasión: 2.5, cercano: 2, conectado: 2.5,
+            abrazo: 2, 'te quiero': 2.5, amado: 2.5
+        },
+        surprise: {
+            sorprendido: 2.5, sorpresa: 2, asombrado: 3, asombro: 2.5,
+            atónito: 3, impactado: 2.5, boquiabierto: 3, 'no me lo creo': 2,
+            'no puedo creer': 2, inesperado: 1.5
+        },
+        disgust: {
+            asco: 3, asqueado: 3, asqueroso: 2.5, repugnante: 2.5,
+            repugnancia: 3, 'me da asco': 3, nauseabundo: 2.5, 'qué asco': 3
+        },
+        envy: {
+            envidia: 3, envidioso: 3, celos: 2.5, celoso: 2.5,
+            'me comparo': 2, 'ojalá tuviera': 2
+        },
+        nostalgia: {
+            nostalgia: 3, nostálgico: 3, añoranza: 2.5, añoro: 2.5,
+            recuerdos: 1.5, infancia: 1.5, agridulce: 2.5, 'aquellos tiempos': 2.5,
+            'echo de menos': 2
+        },
+        boredom: {
+            aburrido: 3, aburrimiento: 3, aburre: 2.5, tedioso: 2.5,
+            monótono: 2.5, rutina: 1.5, 'nada que hacer': 2.5, 'lo mismo de siempre': 2
+        },
+        loneliness: {
+            soledad: 3, solitario: 2.5, solo: 1.5, aislado: 2.5,
+            abandonado: 2.5, excluido: 2.5, 'me siento solo': 3, 'me siento sola': 3,
+            'sin amigos': 2.5, 'nadie me entiende': 2.5
+        }
+    },
+
+    bodily: {
+        calor: 1.5, ardor: 1.5, frío: 1.2, temblando: 1.3, tembloroso: 1.3,
+        pesado: 1.4, pesadez: 1.4, opresión: 1.3, mareado: 1.4,
+        hormigueo: 1.5, 'corazón acelerado': 1.5, 'nudo en la garganta': 1.4,
+        'nudo en el estómago': 1.4, ligero: 1.2
+    }
+};
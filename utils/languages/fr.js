@@ -0,0 +1,166 @@
+// =============================================================
+//  languages/fr.js
+//  French tables for the emotion detector. Same shape as the
+//  built-in English tables in emotionDetector.js.
+//
+//  Elided articles and pronouns (l', j', n', qu'…) are split off by
+//  the tokeniser, so "l'angoisse" looks up "angoisse" and phrase keys
+//  spell them as separate words ('sous l eau').
+// =============================================================
+
+export default {
+    code: 'fr',
+    name: 'Français',
+
+    negations: [
+        'pas', 'jamais', 'rien', 'aucun', 'aucune', 'sans', 'ni',
+        'guère'
+    ],
+
+    intensifiers: [
+        'très', 'trop', 'tellement', 'vraiment', 'super', 'hyper',
+        'complètement', 'totalement', 'profondément', 'extrêmement',
+        'incroyablement', 'si', 'absolument', 'carrément', 'grave'
+    ],
+
+    // "Jamais été aussi heureux" — never + comparative is superlative
+    superlativeNegations: ['jamais'],
+    comparatives: ['aussi', 'si', 'autant', 'plus', 'tellement'],
+
+    transitions: [
+        'mais', 'cependant', 'pourtant', 'toutefois', 'néanmoins',
+        'quand même', 'par contre', 'en revanche'
+    ],
+
+    // Hedges soften their clause; conditionals the whole sentence.
+    // "si" is left out: it is far more often "so" (si heureux).
+    hedges: [
+        'peut-être', 'je crois', 'je pense', 'un peu', 'plutôt',
+        'probablement', 'on dirait', 'il me semble', 'genre'
+    ],
+    conditionals: ['et si', 'au cas où', 'à moins que', 'à condition que'],
+
+    abbreviations: ['m', 'mme', 'mlle', 'dr', 'etc', 'cf', 'p.ex'],
+
+    // Leading clitics split into their own token: "l'amour" → l + amour
+    elisions: ['l', 'j', 'd', 'n', 'm', 't', 's', 'c', 'qu', 'jusqu', 'lorsqu', 'puisqu'],
+
+    inflections: [
+        ['euses', 'eux'], ['euse', 'eux'], ['ives', 'if'], ['ive', 'if'],
+        ['ées', 'é'], ['ée', 'é'], ['és', 'é'], ['es', ''], ['e', ''], ['s', '']
+    ],
+
+    lexicons: {
+        joy: {
+            heureux: 2, bonheur: 2, joie: 3, joyeux: 3, content: 2,
+            ravi: 2.5, enchanté: 2.5, excité: 2, enthousiaste: 2.5,
+            génial: 2, formidable: 2, merveilleux: 2, super: 1.5,
+            rire: 1.5, sourire: 1.5, vivant: 2, euphorique: 3,
+            'aux anges': 3, 'sur un nuage': 2.5
+        },
+        calm: {
+            calme: 2.5, paisible: 2.5, paix: 2, serein: 3, sérénité: 3,
+            tranquille: 2.5, détendu: 2.5, apaisé: 2.5, reposé: 2,
+            zen: 2.5, 'en paix': 2.5, patient: 2
+        },
+        anger: {
+            colère: 2.5, fâché: 2, furieux: 3, rage: 3, énervé: 2,
+            agacé: 1.5, irrité: 1.5, frustré: 1.5, frustration: 1.5,
+            haine: 2.5, déteste: 2.5, marre: 2, 'en avoir marre': 2.5,
+            'ras le bol': 2.5, indigné: 2.5, vénère: 2.5
+        },
+        fear: {
+            peur: 2.5, effrayé: 2.5, terrifié: 3, terreur: 3, panique: 3,
+            paniqué: 3, crainte: 2, inquiet: 2, nerveux: 2, menacé: 2,
+            vulnérable: 1.5, 'la trouille': 2.5
+        },
+        anxiety: {
+            anxieux: 2.5, anxiété: 2.5, angoisse: 2.5, angoissé: 2.5,
+            stressé: 2.5, débordé: 2.5, submergé: 2.5, tendu: 2,
+            tension: 2, agité: 2, confus: 1.5, 'boule au ventre': 2,
+            'le coeur qui bat': 1.5, 'le cœur qui bat': 1.5
+        },
+        sadness: {
+            triste: 2, tristesse: 2, déprimé: 2.5, dépression: 2.5,
+            pleurer: 2, pleure: 2, larmes: 1.5,
+            malheureux: 2, chagrin: 2.5, désespoir: 3, désespéré: 3,
+            mélancolie: 2, peine: 2, déçu: 2, 'coeur brisé': 3, 'cœur brisé': 3,
+            'gorge serrée': 2.5, 'le cafard': 2.5
+        },
+        shame: {
+            honte: 3, honteux: 3, gêné: 2.5, embarrassé: 2.5, coupable: 2.5,
+            culpabilité: 2.5, humilié: 3, ridicule: 2, regret: 2.5,
+            nul: 2, échec: 2
+        },
+        gratitude: {
+            reconnaissant: 3, gratitude: 3, merci: 1.5, remercie: 2,
+            chanceux: 2, chance: 1.5, béni: 2.5, touché: 2, ému: 2,
+            apprécie: 2.5
+        },
+        courage: {
+            courageux: 3, courage: 3, brave: 2.5, fort: 2, force: 2,
+            capable: 2, confiant: 2.5, confiance: 2.5, fier: 2, fierté: 2,
+            déterminé: 2.5, puissant: 2.5
+        },
+        hopeful: {
+            espoir: 2.5, optimiste: 2.5, optimisme: 2.5, confiant: 1.5,
+            'hâte': 2, impatient: 1.5, 'ça va aller': 3, encouragé: 2.5
+        },
+        disconnected: {
+            vide: 2, déconnecté: 3, détaché: 2.5, distant: 2,
+            indifférent: 2.5, apathique: 2.5,
+            engourdi: 2.5, 'je m en fiche': 2.5
+        },
+        stress: {
+            épuisé: 2.5, crevé: 2.5, 'à bout': 3, surmené: 2.5,
+            pression: 2, fatigué: 1.5, 'sous l eau': 2.5, burnout: 3
+        },
+        powerless: {
+            impuissant: 3, piégé: 2.5, coincé: 2, vaincu: 2.5, résigné: 2.5,
+            incapable: 2.5, perdu: 1.5, 'sans issue': 2.5
+        },
+        unsettled: {
+            incertain: 2, incertitude: 2, doute: 2.5, perplexe: 2.5,
+            troublé: 2, bizarre: 1.5, déstabilisé: 2.5, 'je sais pas': 1.5
+        },
+        tender: {
+            amour: 2, aimer: 2, aime: 2, tendresse: 2.5, tendre: 2.5,
+            affection: 2.5, câlin: 2, doux: 1.5, proche: 2, connecté: 2.5,
+            bienveillance: 2.5, 'je t aime': 2.5
+        },
+        surprise: {
+            surpris: 2.5, surprise: 2, étonné: 2.5, stupéfait: 3,
+            abasourdi: 3, sidéré: 3, 'pris au dépourvu': 2.5, inattendu: 1.5,
+            'je n en reviens pas': 2.5
+        },
+        disgust: {
+            dégoût: 3, dégoûté: 3, dégoûtant: 2.5, écœuré: 3, écoeuré: 3,
+            répugnant: 2.5, beurk: 2, 'ça me dégoûte': 3
+        },
+        envy: {
+            envie: 2, envieux: 3, jalousie: 2.5, jaloux: 2.5,
+            'je me compare': 2
+        },
+        nostalgia: {
+            nostalgie: 3, nostalgique: 3, souvenirs: 1.5, enfance: 1.5,
+            'doux-amer': 2.5, 'le bon vieux temps': 3, 'à l époque': 1.5,
+            regrette: 1.5
+        },
+        boredom: {
+            ennui: 3, ennuyé: 3, 'je m ennuie': 3, ennuyeux: 2.5,
+            monotone: 2.5, lassant: 2, 'rien à faire': 2.5, routine: 1.5
+        },
+        loneliness: {
+            seul: 2, seule: 2, solitude: 3, isolé: 2.5, isolée: 2.5,
+            abandonné: 2.5, exclu: 2.5, 'tout seul': 3, 'toute seule': 3,
+            'personne à qui parler': 3
+        }
+    },
+
+    bodily: {
+        chaud: 1.5, brûlant: 1.5, froid: 1.2, tremble: 1.3, tremblant: 1.3,
+        lourd: 1.4, lourdeur: 1.4, vertige: 1.4, picotement: 1.5,
+        'boule au ventre': 1.4, 'gorge serrée': 1.4, léger: 1.2,
+        'le coeur qui bat': 1.5, 'le cœur qui bat': 1.5
+    }
+};
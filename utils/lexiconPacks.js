@@ -0,0 +1,192 @@
+// =============================================================
+//  lexiconPacks.js
+//  Schema validation and merging for loadable lexicon packs.
+//
+//  A pack is plain JSON with any of these sections:
+//    {
+//      "name":         "workplace",
+//      "language":     "en",
+//      "lexicons":     { "stress": { "deadline": 1.5, "crunch time": 2 } },
+//      "bodily":       { "jaw clenched": 1.4 },
+//      "vad":          { "crunch time": [-0.5, 0.8, -0.3] },
+//      "negations":    ["ain't"],
+//      "intensifiers": ["mega"],
+//      "transitions":  ["that said"]
+//    }
+//
+//  Packs are merged into the detector's active tables at runtime
+//  (see loadLexiconPack in emotionDetector.js):
+//    merge    — entries are added; existing words get the pack weight
+//    override — every section the pack lists replaces the current one
+//               (per emotion for `lexicons`)
+// =============================================================
+
+import { isVadTriple } from './vadLexicon.js';
+
+const WEIGHT_SECTIONS = ['bodily'];
+const LIST_SECTIONS = ['negations', 'intensifiers', 'transitions'];
+const VAD_SECTION = 'vad';
+const KNOWN_KEYS = new Set(['name', 'version', 'description', 'language', 'lexicons', VAD_SECTION, ...WEIGHT_SECTIONS, ...LIST_SECTIONS]);
+
+// ── Helpers ──────────────────────────────────────────────────
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isWeight = v => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+// Same normalisation the detector's phrase index uses, so "at_peace"
+// and "at peace" count as one word when checking for duplicates.
+const normaliseWord = w => w.toLowerCase().replace(/[_-]+/g, ' ').trim();
+
+function checkWeights(map, where, errors) {
+    for (const [word, weight] of Object.entries(map)) {
+        if (!isWeight(weight)) {
+            errors.push(`${where}: "${word}" has weight ${JSON.stringify(weight)}, expected a positive number`);
+        }
+    }
+}
+
+/**
+ * Validates a lexicon pack against the detector's categories.
+ *
+ * Errors make the pack unusable: unknown emotion keys, non-numeric or
+ * non-positive weights, VAD coordinates outside −1 → 1, malformed sections. Warnings are reported but
+ * do not block loading: unknown top-level keys, and words that appear
+ * in more than one emotion category (within the pack, or between the
+ * pack and the tables it is being loaded into).
+ *
+ * @param {Object}   pack
+ * @param {Object}   [tables]               - Current { lexicons } to check duplicates against
+ * @param {string}   [mode='merge']         - 'merge' | 'override'
+ * @returns {{ valid:boolean, errors:string[], warnings:string[] }}
+ */
+export function validateLexiconPack(pack, tables = { lexicons: {} }, mode = 'merge') {
+    const errors = [];
+    const warnings = [];
+
+    if (!isPlainObject(pack)) {
+        return { valid: false, errors: ['pack must be a JSON object'], warnings };
+    }
+
+    Object.keys(pack).forEach(key => {
+        if (!KNOWN_KEYS.has(key)) warnings.push(`unknown section "${key}" ignored`);
+    });
+
+    const knownEmotions = new Set(Object.keys(tables.lexicons));
+
+    if (pack.lexicons !== undefined) {
+        if (!isPlainObject(pack.lexicons)) {
+            errors.push('lexicons: expected an object of { emotion: { word: weight } }');
+        } else {
+            for (const [emotion, words] of Object.entries(pack.lexicons)) {
+                if (!knownEmotions.has(emotion)) {
+                    errors.push(`lexicons: unknown emotion "${emotion}"`);
+                } else if (!isPlainObject(words)) {
+                    errors.push(`lexicons.${emotion}: expected an object of { word: weight }`);
+                } else {
+                    checkWeights(words, `lexicons.${emotion}`, errors);
+                }
+            }
+        }
+    }
+
+    WEIGHT_SECTIONS.forEach(section => {
+        if (pack[section] === undefined) return;
+        if (!isPlainObject(pack[section])) errors.push(`${section}: expected an object of { word: weight }`);
+        else checkWeights(pack[section], section, errors);
+    });
+
+    if (pack.vad !== undefined) {
+        if (!isPlainObject(pack.vad)) {
+            errors.push('vad: expected an object of { word: [valence, arousal, dominance] }');
+        } else {
+            for (const [word, coords] of Object.entries(pack.vad)) {
+                if (!isVadTriple(coords)) {
+                    errors.push(`vad: "${word}" has ${JSON.stringify(coords)}, expected three numbers between -1 and 1`);
+                }
+            }
+        }
+    }
+
+    LIST_SECTIONS.forEach(section => {
+        if (pack[section] === undefined) return;
+        if (!Array.isArray(pack[section]) || pack[section].some(w => typeof w !== 'string' || !w.trim())) {
+            errors.push(`${section}: expected an array of non-empty strings`);
+        }
+    });
+
+    if (errors.length === 0 && pack.lexicons) {
+        findDuplicates(pack.lexicons, tables.lexicons, mode).forEach(w => warnings.push(w));
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+// Words a pack puts in one category that already live in another.
+function findDuplicates(packLexicons, baseLexicons, mode) {
+    const owners = new Map();   // word → Set of emotions
+    const own = (word, emotion) => {
+        const w = normaliseWord(word);
+        if (!owners.has(w)) owners.set(w, new Set());
+        owners.get(w).add(emotion);
+    };
+
+    for (const [emotion, words] of Object.entries(baseLexicons)) {
+        if (mode === 'override' && emotion in packLexicons) continue;
+        Object.keys(words).forEach(w => own(w, emotion));
+    }
+    for (const [emotion, words] of Object.entries(packLexicons)) {
+        Object.keys(words).forEach(w => own(w, emotion));
+    }
+
+    const warnings = [];
+    for (const [emotion, words] of Object.entries(packLexicons)) {
+        Object.keys(words).forEach(word => {
+            const others = [...owners.get(normaliseWord(word))].filter(e => e !== emotion);
+            if (others.length > 0) {
+                warnings.push(`"${word}" in ${emotion} is also in ${others.join(', ')}`);
+            }
+        });
+    }
+    return warnings;
+}
+
+/**
+ * Returns new tables with a validated pack applied. Inputs are not mutated.
+ *
+ * @param {{ lexicons:Object, bodily:Object, vad:Object, negations:string[],
+ *           intensifiers:string[], transitions:string[] }} tables
+ * @param {Object} pack
+ * @param {string} [mode='merge'] - 'merge' | 'override'
+ */
+export function mergeLexiconPack(tables, pack, mode = 'merge') {
+    const override = mode === 'override';
+
+    const lexicons = {};
+    for (const [emotion, words] of Object.entries(tables.lexicons)) {
+        const incoming = pack.lexicons?.[emotion];
+        lexicons[emotion] = incoming
+            ? (override ? { ...incoming } : { ...words, ...incoming })
+            : { ...words };
+    }
+
+    const merged = { lexicons };
+
+    WEIGHT_SECTIONS.forEach(section => {
+        const incoming = pack[section];
+        merged[section] = incoming
+            ? (override ? { ...incoming } : { ...tables[section], ...incoming })
+            : { ...tables[section] };
+    });
+
+    merged.vad = pack.vad
+        ? (override ? { ...pack.vad } : { ...tables.vad, ...pack.vad })
+        : { ...tables.vad };
+
+    LIST_SECTIONS.forEach(section => {
+        const incoming = pack[section]?.map(w => w.toLowerCase());
+        merged[section] = incoming
+            ? (override ? [...new Set(incoming)] : [...new Set([...tables[section], ...incoming])])
+            : [...tables[section]];
+    });
+
+    return merged;
+}
@@ -0,0 +1,149 @@
+// =============================================================
+//  morphology.js
+//  Light-weight inflection handling for the lexicon lookup.
+//  Lets one lexicon entry ("worry", "overwhelm", "grieving") cover
+//  its inflected forms ("worrying", "overwhelms", "grieved") without
+//  listing every form by hand.
+//
+//  Not a full stemmer: it only strips common inflectional suffixes
+//  (-s, -ed, -ing, -er, -est, -ly, -ness) and proposes candidate
+//  base forms. The detector keeps the first candidate that is an
+//  actual lexicon key, so a wrong guess simply misses.
+// =============================================================
+
+// ── Lemma table ──────────────────────────────────────────────
+// Irregular forms the suffix rules cannot reach. Checked first.
+export const LEMMA_TABLE = {
+    gently: 'gentle', terribly: 'terrible', humbly: 'humbled',
+    grieve: 'grieving', grieves: 'grieving', grieved: 'grieving',
+    broke: 'broken', froze: 'frozen', freezing: 'frozen',
+    shook: 'shaken', beat: 'beaten', wore: 'worn',
+    burnt: 'burned', hopefully: 'hopeful', thankfully: 'thankful',
+    fearfully: 'fearful', peacefully: 'peaceful', joyfully: 'joyful'
+};
+
+// ── Opt-out list ─────────────────────────────────────────────
+// Surface forms whose stem means something else ("moving house" is
+// not being moved, "contents" are not contentment). These never go
+// through the suffix rules and only ever match exactly.
+export const MORPHOLOGY_EXCEPTIONS = new Set([
+    'moving', 'moves', 'mover', 'movement',
+    'presents', 'presented', 'presenting', 'presently',
+    'contents', 'patients', 'kinds', 'goods', 'stills', 'flats',
+    'closer', 'closely', 'closing', 'closes',
+    'opens', 'opening', 'opener', 'opened',
+    'removes', 'removing', 'races', 'raced', 'racer',
+    'lights', 'lighting', 'lighter', 'rises', 'risen',
+    'engages', 'winner', 'powers', 'powered',
+    'number', 'numbers', 'scarred', 'madly'
+]);
+
+// ── Comparable adjectives ────────────────────────────────────
+// The only base forms -er / -est lead back to: on anything else the
+// rule mostly finds an unrelated word ("number" is not more numb).
+// -ier / -iest are left open, since their stems are adjectives anyway.
+export const COMPARABLE = new Set([
+    'bold', 'brave', 'bright', 'calm', 'cold', 'cool', 'dull', 'fierce',
+    'fine', 'free', 'gentle', 'glad', 'great', 'grim', 'gross', 'kind',
+    'mad', 'nice', 'proud', 'quiet', 'sad', 'safe', 'sick', 'soft',
+    'stiff', 'strong', 'tender', 'tense', 'thin', 'tight', 'warm', 'weak'
+]);
+
+// Stems shorter than this are never proposed ("sing" → "s").
+const MIN_STEM = 3;
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+
+// ── Helpers ──────────────────────────────────────────────────
+function endsWithDouble(stem) {
+    const last = stem[stem.length - 1];
+    return stem.length > 2 && last === stem[stem.length - 2]
+        && !VOWELS.has(last) && !'lsfz'.includes(last);
+}
+
+// Base-form guesses for a stem left after stripping -ed / -ing / -er.
+function restoreStem(stem) {
+    const out = [stem, stem + 'e'];
+    if (endsWithDouble(stem)) out.push(stem.slice(0, -1));        // sobbing → sob
+    if (stem.endsWith('ck')) out.push(stem.slice(0, -1));          // panicking → panic
+    if (stem.endsWith('i')) out.push(stem.slice(0, -1) + 'y');     // worried → worry
+    return out;
+}
+
+function comparativeStem(stem) {
+    return restoreStem(stem).filter(b => COMPARABLE.has(b));
+}
+
+// ── Suffix rules ─────────────────────────────────────────────
+// Ordered longest first. Each returns base-form guesses for the stem.
+const SUFFIX_RULES = [
+    { suffix: 'ingly', guess: stem => [stem + 'ing', stem + 'ed'] },       // frustratingly
+    { suffix: 'edly', guess: stem => [stem + 'ed'] },                      // worriedly
+    { suffix: 'iness', guess: stem => [stem + 'y'] },                      // emptiness
+    { suffix: 'ness', guess: stem => [stem] },                             // numbness
+    { suffix: 'ily', guess: stem => [stem + 'y'] },                        // angrily
+    { suffix: 'ly', guess: stem => [stem, stem + 'le'] },                  // sadly
+    { suffix: 'iest', guess: stem => [stem + 'y'] },                       // loneliest
+    { suffix: 'ies', guess: stem => [stem + 'y'] },                        // worries
+    { suffix: 'ied', guess: stem => [stem + 'y'] },                        // cried
+    { suffix: 'ier', guess: stem => [stem + 'y'] },                        // happier
+    { suffix: 'est', guess: comparativeStem },                             // bravest
+    { suffix: 'er', guess: comparativeStem },                              // calmer
+    { suffix: 'ing', guess: restoreStem },                                 // hoping
+    { suffix: 'ed', guess: restoreStem },                                  // scared
+    { suffix: 'es', guess: stem => [stem, stem + 'e'] },                   // stresses
+    { suffix: 's', guess: stem => /(ss|us|is)$/.test(stem + 's') ? [] : [stem] }
+];
+
+// Sibling inflections of a base form, so "scares" → "scare" can
+// still reach a lexicon that only lists "scared".
+function siblingsOf(base) {
+    if (base.length < MIN_STEM + 1) return [];
+    if (base.endsWith('e')) return [base + 'd', base.slice(0, -1) + 'ing'];
+    if (base.endsWith('y')) return [base.slice(0, -1) + 'ied', base + 'ing'];
+    return [base + 'ed', base + 'ing'];
+}
+
+/**
+ * Candidate lexicon forms for an inflected token, best guesses first.
+ * Returns [] for opted-out words and tokens with no known suffix.
+ *
+ * @param {string} token - Lower-cased token that missed an exact lookup
+ * @returns {string[]}
+ */
+export function lemmaCandidates(token) {
+    if (MORPHOLOGY_EXCEPTIONS.has(token)) return [];
+    if (token in LEMMA_TABLE) return [LEMMA_TABLE[token]];
+
+    const bases = [];
+    for (const { suffix, guess } of SUFFIX_RULES) {
+        if (!token.endsWith(suffix)) continue;
+        const stem = token.slice(0, -suffix.length);
+        if (stem.length < MIN_STEM) continue;
+        guess(stem).forEach(b => { if (b.length >= MIN_STEM) bases.push(b); });
+    }
+
+    const siblings = bases.flatMap(siblingsOf);
+    return [...new Set([...bases, ...siblings])].filter(c => c !== token);
+}
+
+/**
+ * Candidate base forms from a language's own [suffix, replacement]
+ * rules (see languages/*.js), longest suffix first. Used for the
+ * non-English tables, whose lexicons list base forms only.
+ *
+ * @param {string} token
+ * @param {Array<[string, string]>} rules
+ * @returns {string[]}
+ */
+export function inflectionCandidates(token, rules) {
+    const out = [];
+    [...rules]
+        .sort((a, b) => b[0].length - a[0].length)
+        .forEach(([suffix, replacement]) => {
+            if (!token.endsWith(suffix)) return;
+            const stem = token.slice(0, -suffix.length);
+            if (stem.length >= MIN_STEM) out.push(stem + replacement);
+        });
+    return [...new Set(out)];
+}
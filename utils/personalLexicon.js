@@ -0,0 +1,130 @@
+// =============================================================
+//  personalLexicon.js
+//  Learns how one person uses words. For one writer "tired" means
+//  sadness, for another stress; each time the user corrects a
+//  reading, the words behind it shift toward the feeling they named
+//  and away from the one the detector picked.
+//
+//  The overlay holds weight shifts, not weights, so it sits on top
+//  of the built-in lexicons and any loaded packs
+//  (see setPersonalLexicon in emotionDetector.js):
+//    { [language]: { [emotion]: { word: shift } } }
+//  It is kept in localStorage; the storage argument is injectable.
+// =============================================================
+
+export const PERSONAL_STORAGE_KEY = 'emotropy.personalLexicon';
+
+export const LEARNING_RATE = 0.3;   // shift per correction
+export const MAX_SHIFT = 2;         // a word never moves further than this
+
+/**
+ * The stored overlay. Unreadable storage reads as empty.
+ * @param {Storage} [storage=localStorage]
+ * @returns {Object}
+ */
+export function loadPersonalLexicon(storage = globalThis.localStorage) {
+    try {
+        const shifts = JSON.parse(storage?.getItem(PERSONAL_STORAGE_KEY) ?? '{}');
+        return shifts && typeof shifts === 'object' && !Array.isArray(shifts) ? shifts : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Stores the overlay.
+ * @returns {boolean} false if storage refused it
+ */
+export function savePersonalLexicon(shifts, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(PERSONAL_STORAGE_KEY, JSON.stringify(shifts));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/** Forgets everything learned. */
+export function clearPersonalLexicon(storage = globalThis.localStorage) {
+    storage?.removeItem(PERSONAL_STORAGE_KEY);
+}
+
+const clampShift = v => Math.max(-MAX_SHIFT, Math.min(MAX_SHIFT, Math.round(v * 1000) / 1000));
+
+/**
+ * A new overlay with one correction learned. Every word the detector
+ * read (each once) gains weight in the chosen category and loses it in
+ * the category it had scored for. Negated hits are skipped: "not happy"
+ * labelled sadness says nothing about what "happy" means to the user.
+ *
+ * @param {Object} shifts                       - current overlay (not mutated)
+ * @param {Object} correction
+ * @param {Array<Object>} correction.evidence   - detectEmotion().evidence
+ * @param {string}        correction.chosen     - emotion key the user picked
+ * @param {string}        correction.language   - language the text was read as
+ * @returns {{ shifts:Object, words:string[] }} the new overlay and the words it moved
+ */
+export function learnFromCorrection(shifts, { evidence, chosen, language }) {
+    const next = structuredClone(shifts ?? {});
+    const table = (next[language] ??= {});
+    const shift = (emotion, word, amount) => {
+        const words = (table[emotion] ??= {});
+        const value = clampShift((words[word] ?? 0) + amount);
+        if (value === 0) delete words[word];
+        else words[word] = value;
+        if (Object.keys(words).length === 0) delete table[emotion];
+    };
+
+    const learned = new Map();   // word → categories it was read as
+    evidence
+        .filter(e => e.lexicon !== 'bodily' && !e.negated)
+        .forEach(e => {
+            if (!learned.has(e.match)) learned.set(e.match, new Set());
+            learned.get(e.match).add(e.lexicon);
+        });
+
+    for (const [word, read] of learned) {
+        shift(chosen, word, LEARNING_RATE);
+        read.forEach(emotion => { if (emotion !== chosen) shift(emotion, word, -LEARNING_RATE); });
+    }
+    if (Object.keys(table).length === 0) delete next[language];
+
+    return { shifts: next, words: [...learned.keys()] };
+}
+
+/**
+ * A new overlay without one word's shifts in one language.
+ * @returns {Object}
+ */
+export function forgetWord(shifts, language, word) {
+    const next = structuredClone(shifts ?? {});
+    const table = next[language];
+    if (!table) return next;
+    for (const emotion of Object.keys(table)) {
+        delete table[emotion][word];
+        if (Object.keys(table[emotion]).length === 0) delete table[emotion];
+    }
+    if (Object.keys(table).length === 0) delete next[language];
+    return next;
+}
+
+/**
+ * Everything learned, one row per word, for inspecting:
+ *   { language, word, shifts: [{ emotion, shift }, …] }  strongest shift first
+ * @returns {Array<Object>}
+ */
+export function describePersonalLexicon(shifts) {
+    const rows = new Map();
+    for (const [language, table] of Object.entries(shifts ?? {})) {
+        for (const [emotion, words] of Object.entries(table)) {
+            for (const [word, shift] of Object.entries(words)) {
+                const key = `${language}:${word}`;
+                if (!rows.has(key)) rows.set(key, { language, word, shifts: [] });
+                rows.get(key).shifts.push({ emotion, shift });
+            }
+        }
+    }
+    return [...rows.values()]
+        .map(row => ({ ...row, shifts: row.shifts.sort((a, b) => b.shift - a.shift) }))
+        .sort((a, b) => a.language.localeCompare(b.language) || a.word.localeCompare(b.word));
+}
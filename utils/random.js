@@ -0,0 +1,108 @@
+// =============================================================
+//  random.js
+//  Seedable pseudo-random numbers for the simulation and the
+//  sensation suggestions, so a given text and seed always give the
+//  same sensations and the same animation.
+//
+//  createRandom(seed) returns a drop-in replacement for Math.random
+//  (mulberry32). Seeds are 32-bit unsigned integers; any other value
+//  (a word, a date) is hashed to one.
+//
+//  Pooled particles keep their stream as a bare 32-bit state instead
+//  of a closure (see Particle.reset): forkSeed hands one out, and
+//  MULBERRY_STEP + mulberry32 advance and read it.
+// =============================================================
+
+const UINT32 = 2 ** 32;
+
+/** Added to a mulberry32 state before every draw. */
+export const MULBERRY_STEP = 0x6d2b79f5;
+
+/**
+ * The float in [0, 1) that mulberry32 draws for an (already advanced)
+ * state.
+ * @param {number} state - 32-bit unsigned
+ * @returns {number}
+ */
+export function mulberry32(state) {
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+}
+
+/**
+ * Turns any seed value into a 32-bit unsigned integer. Whole numbers
+ * in range are used as-is so "42" and 42 are the same seed.
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text) && Number(text) < UINT32) return Number(text);
+
+    // FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * A seeded generator with the same contract as Math.random: each call
+ * returns a float in [0, 1).
+ * @param {number|string} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+    let a = hashSeed(seed);
+    return function random() {
+        a = (a + MULBERRY_STEP) >>> 0;
+        return mulberry32(a);
+    };
+}
+
+/**
+ * The seed of an independent child stream drawn from `random`.
+ * @param {() => number} random
+ * @returns {number}
+ */
+export function forkSeed(random) {
+    return Math.floor(random() * UINT32);
+}
+
+/**
+ * An independent child stream drawn from `random`, so consumers that
+ * advance at their own pace (one per particle) never disturb each other.
+ * @param {() => number} random
+ */
+export function forkRandom(random) {
+    return createRandom(forkSeed(random));
+}
+
+/** Seed for one submission: the session seed mixed with its text. */
+export function deriveSeed(seed, text) {
+    return hashSeed(`${hashSeed(seed)}:${text}`);
+}
+
+/** A fresh seed for when none was given. */
+export function randomSeed() {
+    return Math.floor(Math.random() * UINT32);
+}
+
+/**
+ * Fisher–Yates shuffle in place.
+ * @template T
+ * @param {T[]} array
+ * @param {() => number} [random=Math.random]
+ * @returns {T[]} the same array
+ */
+export function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
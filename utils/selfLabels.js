@@ -0,0 +1,84 @@
+// =============================================================
+//  selfLabels.js
+//  When the detector is unsure, the user names the feeling
+//  themselves. Each choice is kept with its text in localStorage so
+//  it can later improve detection.
+//
+//  Stored entries are eval corpus entries (see eval/evaluate.js) plus
+//  what the detector made of the text at the time:
+//    { id, label, text, language,       corpus fields
+//      detected, confidence, at }      detector's reading, ISO time
+//  so an export runs as-is with `node eval/evaluate.js --corpus`.
+// =============================================================
+
+export const LABELS_STORAGE_KEY = 'emotropy.labels';
+export const MAX_LABELS = 500;   // oldest are dropped past this
+
+/**
+ * The categories worth offering first: everything that scored,
+ * strongest first. Empty when nothing scored.
+ * @param {Object<string, number>} scores - detectEmotion().scores
+ * @param {number} [count=4]
+ * @returns {string[]}
+ */
+export function likelyLabels(scores, count = 4) {
+    return Object.entries(scores ?? {})
+        .filter(([, score]) => score > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([emotion]) => emotion);
+}
+
+/**
+ * Every recorded label, oldest first. Unreadable storage reads as empty.
+ * @param {Storage} [storage=localStorage]
+ * @returns {Array<Object>}
+ */
+export function loadLabels(storage = globalThis.localStorage) {
+    try {
+        const labels = JSON.parse(storage?.getItem(LABELS_STORAGE_KEY) ?? '[]');
+        return Array.isArray(labels) ? labels : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Records the user's own label for a text.
+ *
+ * @param {Object} choice
+ * @param {string} choice.text
+ * @param {string} choice.label       - emotion key the user picked
+ * @param {string} choice.detected    - detector's emotion, or 'unclear'
+ * @param {number} choice.confidence  - detector's confidence
+ * @param {string} choice.language    - language the text was read as
+ * @param {Storage} [storage=localStorage]
+ * @returns {Object|null} the stored entry, or null if storage refused it
+ */
+export function recordLabel({ text, label, detected, confidence, language }, storage = globalThis.localStorage) {
+    const labels = loadLabels(storage);
+    const last = labels[labels.length - 1];
+    const entry = {
+        id: `self-${(Number(last?.id?.slice(5)) || 0) + 1}`,
+        label,
+        text,
+        language,
+        detected,
+        confidence: Math.round(confidence * 1000) / 1000,
+        at: new Date().toISOString()
+    };
+    labels.push(entry);
+
+    try {
+        storage.setItem(LABELS_STORAGE_KEY, JSON.stringify(labels.slice(-MAX_LABELS)));
+        return entry;
+    } catch {
+        // Private browsing or a full quota: the simulation still runs
+        return null;
+    }
+}
+
+/** Forgets every recorded label. */
+export function clearLabels(storage = globalThis.localStorage) {
+    storage?.removeItem(LABELS_STORAGE_KEY);
+}
@@ -1,53 +1,242 @@
 // =============================================================
-//  sensationConfig.js
+//  sensationPhysicsMapper.js
 //  Maps specific somatic sensation words to physics/visual profiles.
 //  This allows sensation tags to trigger unique particle bursts
 //  when clicked, describing the sensation in motion.
+//
+//  Each profile moves by its own force list (particles/forces.js),
+//  for now the same forces as the emotion named in `behaviour`.
+//  `behaviour` also picks the neighbour rules the burst follows
+//  (particles/neighbourForces.js): a 'Hot' burst repels itself like
+//  anger.
 // =============================================================
 
 export const SENSATION_PHYSICS = {
     // ── HOT / BURNING (Anger-like physics) ─────────────────────
-    'hot': { color: '#FF4400', behaviour: 'anger', speed: 10, friction: 0.94 },
-    'burning': { color: '#FF7700', behaviour: 'anger', speed: 12, friction: 0.92 },
-    'pounding': { color: '#FF2244', behaviour: 'anger', speed: 8, friction: 0.95 },
+    'hot': {
+        color: '#FF4400', behaviour: 'anger', speed: 10, friction: 0.94,
+        forces: [
+            { force: 'jitter', strength: 1.2 }
+        ]
+    },
+    'burning': {
+        color: '#FF7700', behaviour: 'anger', speed: 12, friction: 0.92,
+        forces: [
+            { force: 'jitter', strength: 1.2 }
+        ]
+    },
+    'pounding': {
+        color: '#FF2244', behaviour: 'anger', speed: 8, friction: 0.95,
+        forces: [
+            { force: 'jitter', strength: 1.2 }
+        ]
+    },
 
     // ── EXPANDED / OPEN (Joy-like physics) ──────────────────────
-    'expanded': { color: '#FFEE44', behaviour: 'joy', speed: 5, friction: 0.985 },
-    'radiating': { color: '#FFFFAA', behaviour: 'joy', speed: 4, friction: 0.99 },
-    'electric': { color: '#AAFFFF', behaviour: 'joy', speed: 7, friction: 0.97 },
-    'vibrant': { color: '#44FF88', behaviour: 'joy', speed: 5, friction: 0.98 },
-    'sparkly': { color: '#FFFFFF', behaviour: 'joy', speed: 6, friction: 0.96 },
+    'expanded': {
+        color: '#FFEE44', behaviour: 'joy', speed: 5, friction: 0.985,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
+    'radiating': {
+        color: '#FFFFAA', behaviour: 'joy', speed: 4, friction: 0.99,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
+    'electric': {
+        color: '#AAFFFF', behaviour: 'joy', speed: 7, friction: 0.97,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
+    'vibrant': {
+        color: '#44FF88', behaviour: 'joy', speed: 5, friction: 0.98,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
+    'sparkly': {
+        color: '#FFFFFF', behaviour: 'joy', speed: 6, friction: 0.96,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
 
     // ── LIGHT / AIRY / SPACIOUS (Hopeful/Calm physics) ──────────
-    'light': { color: '#CCFFFF', behaviour: 'hopeful', speed: 3, friction: 0.99 },
-    'airy': { color: '#EEFFFF', behaviour: 'hopeful', speed: 2.5, friction: 0.995 },
-    'spacious': { color: '#AAFFEE', behaviour: 'calm', speed: 1.5, friction: 0.998 },
-    'flowing': { color: '#88FFEE', behaviour: 'calm', speed: 2, friction: 0.992 },
+    'light': {
+        color: '#CCFFFF', behaviour: 'hopeful', speed: 3, friction: 0.99,
+        forces: [
+            { force: 'gravity', y: -0.06 },
+            { force: 'oscillate', x: 0.08, rate: 3 }
+        ]
+    },
+    'airy': {
+        color: '#EEFFFF', behaviour: 'hopeful', speed: 2.5, friction: 0.995,
+        forces: [
+            { force: 'gravity', y: -0.06 },
+            { force: 'oscillate', x: 0.08, rate: 3 }
+        ]
+    },
+    'spacious': {
+        color: '#AAFFEE', behaviour: 'calm', speed: 1.5, friction: 0.998,
+        forces: [
+            { force: 'radial', strength: -0.008 }
+        ]
+    },
+    'flowing': {
+        color: '#88FFEE', behaviour: 'calm', speed: 2, friction: 0.992,
+        forces: [
+            { force: 'radial', strength: -0.008 }
+        ]
+    },
 
     // ── SHAKY / TREMBLY / JUMPY (Anxiety/Fear physics) ──────────
-    'shaky': { color: '#CC99FF', behaviour: 'anxiety', speed: 6, friction: 0.95 },
-    'trembly': { color: '#BB88EE', behaviour: 'anxiety', speed: 5, friction: 0.96 },
-    'jumpy': { color: '#AA66DD', behaviour: 'stress', speed: 7, friction: 0.94 },
-    'fluttery': { color: '#FFCCFF', behaviour: 'anxiety', speed: 4, friction: 0.97 },
+    'shaky': {
+        color: '#CC99FF', behaviour: 'anxiety', speed: 6, friction: 0.95,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ]
+    },
+    'trembly': {
+        color: '#BB88EE', behaviour: 'anxiety', speed: 5, friction: 0.96,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ]
+    },
+    'jumpy': {
+        color: '#AA66DD', behaviour: 'stress', speed: 7, friction: 0.94,
+        forces: [
+            { force: 'burst', strength: 1.4, every: 0.2 },
+            { force: 'jitter', strength: 0.5 }
+        ]
+    },
+    'fluttery': {
+        color: '#FFCCFF', behaviour: 'anxiety', speed: 4, friction: 0.97,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ]
+    },
 
     // ── HEAVY / SINKING (Sadness/Powerless physics) ───────────
-    'heavy': { color: '#556688', behaviour: 'sadness', speed: 1.5, friction: 0.98 },
-    'sinking': { color: '#334466', behaviour: 'powerless', speed: 2, friction: 0.97 },
-    'hollow': { color: '#99AABB', behaviour: 'disconnected', speed: 1.2, friction: 0.99 },
-    'empty': { color: '#778899', behaviour: 'disconnected', speed: 1, friction: 0.995 },
+    'heavy': {
+        color: '#556688', behaviour: 'sadness', speed: 1.5, friction: 0.98,
+        forces: [
+            { force: 'gravity', y: 0.12 },
+            { force: 'radial', strength: -0.04 }
+        ]
+    },
+    'sinking': {
+        color: '#334466', behaviour: 'powerless', speed: 2, friction: 0.97,
+        forces: [
+            { force: 'gravity', y: 0.2 },
+            { force: 'radial', strength: -0.02 }
+        ]
+    },
+    'hollow': {
+        color: '#99AABB', behaviour: 'disconnected', speed: 1.2, friction: 0.99,
+        forces: [
+            { force: 'radial', strength: -0.015 },
+            { force: 'gravity', y: 0.02, fromLife: 0.4 }
+        ]
+    },
+    'empty': {
+        color: '#778899', behaviour: 'disconnected', speed: 1, friction: 0.995,
+        forces: [
+            { force: 'radial', strength: -0.015 },
+            { force: 'gravity', y: 0.02, fromLife: 0.4 }
+        ]
+    },
 
     // ── COLD / FROZEN / NUMB (Fear/Disconnected physics) ───────
-    'cold': { color: '#66AAFF', behaviour: 'fear', speed: 4, friction: 0.92 },
-    'frozen': { color: '#AAEEFF', behaviour: 'fear', speed: 2, friction: 0.90 },
-    'numb': { color: '#B0C4DE', behaviour: 'disconnected', speed: 1, friction: 0.98 },
+    'cold': {
+        color: '#66AAFF', behaviour: 'fear', speed: 4, friction: 0.92,
+        forces: [
+            { force: 'damp', strength: 0.25, period: 1, phase: [0, 0.5] },
+            { force: 'burst', strength: 0.9, period: 1, phase: [0.5, 1] },
+            { force: 'jitter', strength: 0.3 }
+        ]
+    },
+    'frozen': {
+        color: '#AAEEFF', behaviour: 'fear', speed: 2, friction: 0.90,
+        forces: [
+            { force: 'damp', strength: 0.25, period: 1, phase: [0, 0.5] },
+            { force: 'burst', strength: 0.9, period: 1, phase: [0.5, 1] },
+            { force: 'jitter', strength: 0.3 }
+        ]
+    },
+    'numb': {
+        color: '#B0C4DE', behaviour: 'disconnected', speed: 1, friction: 0.98,
+        forces: [
+            { force: 'radial', strength: -0.015 },
+            { force: 'gravity', y: 0.02, fromLife: 0.4 }
+        ]
+    },
 
     // ── TINGLING / BUZZY (Joy/Anxiety blend) ───────────────────
-    'tingling': { color: '#FFFFCC', behaviour: 'joy', speed: 3, friction: 0.99 },
-    'buzzy': { color: '#CCFFCC', behaviour: 'anxiety', speed: 3.5, friction: 0.975 },
-    'vibrating': { color: '#DDFFBB', behaviour: 'anxiety', speed: 5, friction: 0.965 },
+    'tingling': {
+        color: '#FFFFCC', behaviour: 'joy', speed: 3, friction: 0.99,
+        forces: [
+            { force: 'radial', x: 0.08, y: 0.06 }
+        ]
+    },
+    'buzzy': {
+        color: '#CCFFCC', behaviour: 'anxiety', speed: 3.5, friction: 0.975,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ]
+    },
+    'vibrating': {
+        color: '#DDFFBB', behaviour: 'anxiety', speed: 5, friction: 0.965,
+        forces: [
+            { force: 'jitter', strength: 0.8 },
+            { force: 'oscillate', x: 0.5, y: 0.5, rate: 24, rateY: 18 }
+        ]
+    },
+
+    // ── QUEASY / RESTLESS / ACHY (Disgust/Boredom/Loneliness physics) ─
+    'queasy': {
+        color: '#99BB44', behaviour: 'disgust', speed: 3, friction: 0.96,
+        forces: [
+            { force: 'radial', strength: 0.25, reach: 300, floor: 0.1 },
+            { force: 'orbit', strength: -0.12, rate: 4.2 }
+        ]
+    },
+    'nauseous': {
+        color: '#88AA33', behaviour: 'disgust', speed: 2.5, friction: 0.965,
+        forces: [
+            { force: 'radial', strength: 0.25, reach: 300, floor: 0.1 },
+            { force: 'orbit', strength: -0.12, rate: 4.2 }
+        ]
+    },
+    'restless': {
+        color: '#BBAA99', behaviour: 'boredom', speed: 2, friction: 0.97,
+        forces: [
+            { force: 'damp', x: 0, y: 0.08 },
+            { force: 'lanes', spacing: 40, strength: 0.004 },
+            { force: 'coast', x: 0.006 }
+        ]
+    },
+    'achy': {
+        color: '#7788CC', behaviour: 'loneliness', speed: 1.5, friction: 0.98,
+        forces: [
+            { force: 'radial', strength: 0.05, edge: 0.42 },
+            { force: 'damp', strength: 0.04, outside: 0.42 }
+        ]
+    },
 
     // ── DEFAULT / FALLBACK (Warm/Settled) ───────────────────────
-    'default': { color: '#FFFFFF', behaviour: 'calm', speed: 2.5, friction: 0.98 }
+    'default': {
+        color: '#FFFFFF', behaviour: 'calm', speed: 2.5, friction: 0.98,
+        forces: [
+            { force: 'radial', strength: -0.008 }
+        ]
+    }
 };
 
 /**
@@ -73,3 +262,4 @@ export function getPhysicsForSensation(label) {
 
     return SENSATION_PHYSICS.default;
 }
+
@@ -0,0 +1,111 @@
+// =============================================================
+//  vadLexicon.js
+//  Valence / arousal / dominance coordinates for the detector's
+//  lexicon entries, each on a −1 → 1 scale:
+//    valence    unpleasant  → pleasant
+//    arousal    calm, slow  → activated
+//    dominance  overpowered → in control
+//
+//  Every entry inherits its category's anchor below; WORD_VAD lists
+//  the words that sit noticeably away from that anchor ("furious" is
+//  more aroused than "annoyed", "serene" calmer than "content").
+//  Lexicon packs may add their own with a "vad" section.
+// =============================================================
+
+// ── Category anchors ─────────────────────────────────────────
+// [valence, arousal, dominance]
+export const EMOTION_VAD = {
+    joy:          [0.8, 0.5, 0.4],
+    calm:         [0.6, -0.6, 0.3],
+    anger:        [-0.6, 0.8, 0.5],
+    fear:         [-0.7, 0.7, -0.6],
+    anxiety:      [-0.6, 0.6, -0.4],
+    sadness:      [-0.7, -0.4, -0.4],
+    shame:        [-0.6, 0.2, -0.6],
+    gratitude:    [0.7, 0.1, 0.1],
+    courage:      [0.6, 0.5, 0.8],
+    hopeful:      [0.6, 0.2, 0.3],
+    disconnected: [-0.3, -0.7, -0.3],
+    stress:       [-0.5, 0.6, -0.3],
+    powerless:    [-0.6, -0.2, -0.9],
+    unsettled:    [-0.3, 0.3, -0.3],
+    tender:       [0.7, -0.1, 0.2],
+    surprise:     [0.1, 0.7, 0],
+    disgust:      [-0.6, 0.4, 0.2],
+    envy:         [-0.5, 0.3, -0.2],
+    nostalgia:    [0.1, -0.3, -0.1],
+    boredom:      [-0.3, -0.6, -0.2],
+    loneliness:   [-0.6, -0.3, -0.5]
+};
+
+// ── English word overrides ───────────────────────────────────
+export const WORD_VAD = {
+    // Joy — high-energy vs quiet satisfaction
+    ecstatic: [0.9, 0.9, 0.5], euphoric: [0.9, 0.9, 0.5], elated: [0.9, 0.8, 0.5],
+    thrilled: [0.8, 0.8, 0.4], excited: [0.7, 0.8, 0.4], exhilarated: [0.8, 0.9, 0.5],
+    satisfied: [0.6, -0.2, 0.4], good: [0.5, 0, 0.2], nice: [0.4, -0.1, 0.2],
+    love: [0.9, 0.3, 0.3],
+    // Calm
+    serene: [0.7, -0.8, 0.4], tranquil: [0.7, -0.8, 0.4], peaceful: [0.7, -0.7, 0.3],
+    relaxed: [0.6, -0.7, 0.3], content: [0.6, -0.4, 0.3], grounded: [0.5, -0.4, 0.6],
+    // Anger — rage vs irritation
+    furious: [-0.8, 0.95, 0.6], livid: [-0.8, 0.95, 0.6], rage: [-0.8, 0.95, 0.6],
+    enraged: [-0.8, 0.95, 0.6], annoyed: [-0.4, 0.4, 0.2], irritated: [-0.4, 0.4, 0.2],
+    frustrated: [-0.5, 0.5, -0.1], bitter: [-0.5, 0.2, 0], resentful: [-0.5, 0.3, 0],
+    // Fear
+    terrified: [-0.8, 0.9, -0.8], petrified: [-0.8, 0.7, -0.9], panic: [-0.8, 0.95, -0.7],
+    nervous: [-0.4, 0.5, -0.3], worried: [-0.5, 0.4, -0.3], frozen: [-0.6, -0.3, -0.8],
+    // Anxiety
+    overwhelmed: [-0.6, 0.7, -0.6], restless: [-0.4, 0.6, -0.2], uncertain: [-0.2, 0.2, -0.3],
+    // Sadness — acute grief vs low, flat mood
+    devastated: [-0.9, 0.2, -0.6], heartbroken: [-0.9, 0.1, -0.6], despair: [-0.9, -0.2, -0.7],
+    sobbing: [-0.8, 0.4, -0.5], tired: [-0.3, -0.7, -0.3], gloomy: [-0.5, -0.5, -0.3],
+    disappointed: [-0.5, -0.1, -0.2],
+    // Shame
+    mortified: [-0.8, 0.5, -0.7], humiliated: [-0.8, 0.5, -0.8], sorry: [-0.4, 0, -0.3],
+    // Gratitude
+    grateful: [0.8, 0.1, 0.2], blessed: [0.8, 0.1, 0.2], thanks: [0.5, 0.1, 0.1],
+    // Courage
+    proud: [0.7, 0.4, 0.8], confident: [0.7, 0.3, 0.8], unstoppable: [0.8, 0.8, 0.9],
+    fearless: [0.6, 0.5, 0.9],
+    // Hopeful
+    optimistic: [0.7, 0.3, 0.4], "can't wait": [0.7, 0.7, 0.3],
+    // Disconnected
+    numb: [-0.3, -0.9, -0.2], empty: [-0.5, -0.7, -0.3],
+    // Stress
+    exhausted: [-0.5, -0.6, -0.5], drained: [-0.5, -0.6, -0.5], burnout: [-0.6, -0.4, -0.6],
+    frantic: [-0.6, 0.9, -0.3], frazzled: [-0.5, 0.7, -0.4],
+    // Powerless
+    hopeless: [-0.8, -0.4, -0.8], defeated: [-0.7, -0.4, -0.8], stuck: [-0.5, 0, -0.6],
+    // Unsettled
+    suspicious: [-0.4, 0.4, 0.1],
+    // Tender
+    compassion: [0.7, 0, 0.3], safe: [0.6, -0.5, 0.3], intimate: [0.7, 0.3, 0.2],
+    // Surprise — a jolt vs a pleasant astonishment
+    shocked: [-0.3, 0.8, -0.3], startled: [-0.2, 0.8, -0.3], blindsided: [-0.5, 0.7, -0.5],
+    astonished: [0.3, 0.8, 0],
+    // Disgust
+    revolted: [-0.8, 0.5, 0.2], appalled: [-0.7, 0.6, 0.3],
+    // Envy
+    jealous: [-0.6, 0.5, -0.2], fomo: [-0.4, 0.5, -0.3],
+    // Nostalgia — warm remembering vs aching for what's gone
+    bittersweet: [0, -0.2, -0.1], 'good old days': [0.4, -0.2, 0], longing: [-0.3, 0, -0.3],
+    // Boredom
+    bored: [-0.3, -0.7, -0.1], tedious: [-0.4, -0.5, -0.2], meh: [-0.2, -0.5, 0],
+    // Loneliness
+    lonely: [-0.7, -0.3, -0.5], abandoned: [-0.8, 0.1, -0.7], excluded: [-0.6, 0.1, -0.5]
+};
+
+/** Output when there is no signal: the centre of the space. */
+export const NEUTRAL_VAD = Object.freeze({ valence: 0, arousal: 0, dominance: 0 });
+
+/** [v, a, d] → { valence, arousal, dominance } */
+export function toVad([valence, arousal, dominance]) {
+    return { valence, arousal, dominance };
+}
+
+/** True for a [v, a, d] triple with every value in −1 → 1. */
+export function isVadTriple(v) {
+    return Array.isArray(v) && v.length === 3
+        && v.every(n => typeof n === 'number' && Number.isFinite(n) && n >= -1 && n <= 1);
+}